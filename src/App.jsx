@@ -1,41 +1,68 @@
 import React, { useState, useEffect, useRef, useCallback, createContext, useContext, useMemo } from 'react'
-import { MapPin, Play, Pause, Trophy, Shield, Bell, User, Target, Clock, TrendingUp, Award, LogOut, Mail, AlertCircle, Loader2, CheckCircle, X, Navigation, Camera, Save, ChevronRight, Zap, Flag, Star, HelpCircle, Users, Crown, Calendar, Flame, Lock, Unlock, StopCircle, ChevronLeft, Plus, Copy, Check, Mountain, Bike, Sun, Cloud, CloudRain, Wind, Sparkles, Settings, Timer } from 'lucide-react'
-import { supabase } from './supabase'
+import { MapPin, Play, Pause, Trophy, Shield, Bell, User, Target, Clock, TrendingUp, Award, LogOut, Mail, AlertCircle, Loader2, CheckCircle, X, Navigation, Camera, Save, ChevronRight, Zap, Flag, Star, HelpCircle, Users, Crown, Calendar, Flame, Lock, Unlock, StopCircle, ChevronLeft, Plus, Copy, Check, Mountain, Bike, Sun, Cloud, CloudRain, CloudOff, Wind, Sparkles, Settings, Timer, FileUp, Upload, Download, History, Layers } from 'lucide-react'
+import { supabase, getRideTrack, getTileEvents, getTiles, getTileHistory, saveCityExploration, getCityExploration, unlockAchievement } from './supabase'
+import { loadSession, saveSession, clearSession } from './storage'
+import { send, flushOutbox, onOutboxChange } from './outbox'
+import { createTracker, getPositionSource, getCurrentPosition, gpsQuality, stillSince, hasMoved, movingTime } from './location'
+import { readActivityFile, IMPORT_EXTENSIONS, EXPORT_FORMATS } from './formats'
+import { downloadRide, exportAllRides } from './export'
 import mapboxgl from 'mapbox-gl'
 import 'mapbox-gl/dist/mapbox-gl.css'
 import { latLngToCell, cellToBoundary } from 'h3-js'
+import { trackCells, trackLoops, loopCells, cellRegions, lodResolution, lodFeatures, fogCells, cellsAtResolution, territoryCounts, isTileResolution, TILE_PARENT_RES, MAX_TILE_RES } from './geo'
+import { loadExploration } from './exploration'
+import { cityExploration, cityForPoint } from './boundaries'
+import { mergeOwnedTiles, liveTiles, tileStatus, tileHealth, ownedAtTimes, DECAY_DAYS, MAX_STRENGTH } from './territory'
+import { matchRoute } from './routes'
+import { loadViewportTiles, loadOwners, invalidateViewport } from './viewport'
+import { expiredThreats, threatTimeLeft, DEFEND_XP } from './threats'
+import { RULES, ACHIEVEMENTS, maxSpeed, levelFor, levelProgress, rideXp, routeProgress, settleRide, streakDays, playerStats, newAchievements, ownershipFor, describeOwnership, keptReasons, tileExplanation } from './engine'
 
 mapboxgl.accessToken = import.meta.env.VITE_MAPBOX_TOKEN
 
 // ============== CONFIGURATION ==============
 const CONFIG = {
+  // Tile resolution of every activity, and the one territory across sports is
+  // merged at. An activity may opt into its own with `h3Resolution`; tiles
+  // claimed before a change keep theirs until they decay.
   H3_RESOLUTION: 10,
   MIN_RIDE_POINTS: 10,
   MIN_ACCURACY_METERS: 50,
-  MAX_SPEED_MS: { cycling: 18, running: 8, hiking: 4 },
-  UNLOCK_THRESHOLD: 3,
-  UNLOCK_WINDOW_DAYS: 7,
-  TERRITORY_DECAY_DAYS: 7,
+  UNLOCK_THRESHOLD: RULES.UNLOCK_THRESHOLD,
+  UNLOCK_WINDOW_DAYS: RULES.UNLOCK_WINDOW_DAYS,
+  ROUTE_MATCH_THRESHOLD: RULES.ROUTE_MATCH_THRESHOLD,
+  TERRITORY_DECAY_DAYS: DECAY_DAYS,
+  CHECKPOINT_INTERVAL_MS: 5000,
+  MAX_GAP_FILL_METERS: 500,
+  LOOP_CLOSE_METERS: 100,
 }
 
 const ACTIVITIES = {
   cycling: {
     id: 'cycling', name: 'Cycling', emoji: '🚴', color: '#06b6d4',
     gradient: 'from-cyan-500 to-blue-600', mapStyle: 'mapbox://styles/mapbox/outdoors-v12',
-    avgSpeed: 20, xpMultiplier: 1.0, caloriesPerKm: 30,
+    avgSpeed: 20, xpMultiplier: RULES.XP_MULTIPLIER.cycling, caloriesPerKm: 30,
+    autoPauseRadius: 15, autoPauseSeconds: 8, maxLoopKm2: 10,
   },
   running: {
     id: 'running', name: 'Running', emoji: '🏃', color: '#f59e0b',
     gradient: 'from-amber-500 to-orange-600', mapStyle: 'mapbox://styles/mapbox/streets-v12',
-    avgSpeed: 10, xpMultiplier: 1.2, caloriesPerKm: 60,
+    avgSpeed: 10, xpMultiplier: RULES.XP_MULTIPLIER.running, caloriesPerKm: 60,
+    autoPauseRadius: 10, autoPauseSeconds: 10, maxLoopKm2: 4,
   },
   hiking: {
     id: 'hiking', name: 'Hiking', emoji: '🥾', color: '#10b981',
     gradient: 'from-emerald-500 to-green-600', mapStyle: 'mapbox://styles/mapbox/outdoors-v12',
-    avgSpeed: 4, xpMultiplier: 1.5, caloriesPerKm: 50,
+    avgSpeed: 4, xpMultiplier: RULES.XP_MULTIPLIER.hiking, caloriesPerKm: 50,
+    autoPauseRadius: 10, autoPauseSeconds: 20, maxLoopKm2: 4,
   }
 }
 
+// A bad resolution would only fail later, deep inside a claim or a map layer
+for (const res of [CONFIG.H3_RESOLUTION, ...Object.values(ACTIVITIES).map(a => a.h3Resolution ?? CONFIG.H3_RESOLUTION)]) {
+  if (!isTileResolution(res)) throw new Error(`H3 resolution ${res} is invalid: tiles need a whole number from ${TILE_PARENT_RES + 1} to ${MAX_TILE_RES}`)
+}
+
 const DIFFICULTY = {
   easy: { name: 'Easy', color: '#10b981', icon: '🌱', mult: 1.0 },
   moderate: { name: 'Moderate', color: '#f59e0b', icon: '🔥', mult: 1.25 },
@@ -48,26 +75,7 @@ const AVATAR_OPTIONS = {
   icons: ['🚴', '🏃', '🥾', '🚴‍♂️', '🏃‍♀️', '🧗', '🏆', '⚡', '🔥', '💪', '🎯', '🌟', '👑', '🦁'],
 }
 
-const ACHIEVEMENTS = [
-  { id: 'first_activity', name: 'First Steps', desc: 'Complete your first activity', icon: '🎯', xp: 50 },
-  { id: 'explorer_100', name: 'Explorer', desc: 'Touch 100 tiles', icon: '🗺️', xp: 100 },
-  { id: 'conqueror_50', name: 'Conqueror', desc: 'Own 50 tiles', icon: '👑', xp: 200 },
-  { id: 'multi_sport', name: 'Multi-Sport', desc: 'All 3 activities', icon: '🏅', xp: 300 },
-  { id: 'streak_7', name: 'Week Warrior', desc: '7 day streak', icon: '🔥', xp: 250 },
-  { id: 'streak_30', name: 'Monthly Master', desc: '30 day streak', icon: '💎', xp: 500 },
-  { id: 'century', name: 'Century', desc: '100km total', icon: '💯', xp: 300 },
-]
-
-const LEVEL_XP = [0, 100, 250, 500, 1000, 1750, 2750, 4000, 5500, 7500, 10000]
-
 // ============== UTILITIES ==============
-const haversine = (lat1, lon1, lat2, lon2) => {
-  const R = 6371000, toRad = x => x * Math.PI / 180
-  const dLat = toRad(lat2 - lat1), dLon = toRad(lon2 - lon1)
-  const a = Math.sin(dLat/2)**2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon/2)**2
-  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a))
-}
-
 const sha256 = async (msg) => {
   const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(msg))
   return Array.from(new Uint8Array(hash)).map(b => b.toString(16).padStart(2,'0')).join('')
@@ -78,10 +86,65 @@ const formatDuration = (sec) => {
   return h > 0 ? `${h}:${m.toString().padStart(2,'0')}:${s.toString().padStart(2,'0')}` : `${m}:${s.toString().padStart(2,'0')}`
 }
 
-const getLevel = (xp) => { for (let i = LEVEL_XP.length-1; i >= 0; i--) if (xp >= LEVEL_XP[i]) return i+1; return 1 }
-const getXpProgress = (xp) => {
-  const lvl = getLevel(xp), curr = LEVEL_XP[lvl-1]||0, next = LEVEL_XP[lvl]||LEVEL_XP[LEVEL_XP.length-1]
-  return Math.min(((xp-curr)/(next-curr))*100, 100)
+// Stable colour for another rider or clan on the shared map
+const OWNER_COLORS = ['#a855f7', '#f59e0b', '#ef4444', '#3b82f6', '#ec4899', '#84cc16', '#f97316', '#14b8a6', '#eab308', '#6366f1']
+const ownerColor = (key) => {
+  let h = 0
+  for (const ch of key) h = (h * 31 + ch.charCodeAt(0)) >>> 0
+  return OWNER_COLORS[h % OWNER_COLORS.length]
+}
+
+// Time left on a countdown, e.g. "5h 12m"
+const formatCountdown = (ms) => {
+  const h = Math.floor(ms/3600000), m = Math.floor((ms%3600000)/60000)
+  return h > 0 ? `${h}h ${m}m` : `${m}m`
+}
+
+// Resolution an activity's rides and tiles use
+const activityRes = (activityType) => ACTIVITIES[activityType]?.h3Resolution ?? CONFIG.H3_RESOLUTION
+
+// Cells of an activity's tiles at its resolution, and of every sport's tiles
+// merged at CONFIG.H3_RESOLUTION for 'all'
+const activityCells = (tiles, activityType) => activityType === 'all'
+  ? Array.from(cellsAtResolution(tiles.map(t => t.h3_index), CONFIG.H3_RESOLUTION))
+  : Array.from(cellsAtResolution(tiles.filter(t => t.activity_type === activityType).map(t => t.h3_index), activityRes(activityType)))
+
+// Colour and label for territory merged across every sport
+const ALL_SPORTS = { name: 'All sports', emoji: '🏅', color: '#a855f7' }
+
+// ============== RIDES ==============
+// Live recordings and imported files share the tracker and the ride row so
+// both are validated, tiled and matched to a route the same way
+const newTracker = (activityType) => createTracker({
+  resolution: activityRes(activityType),
+  minAccuracy: CONFIG.MIN_ACCURACY_METERS,
+  maxSpeed: maxSpeed(activityType),
+  maxGapFill: CONFIG.MAX_GAP_FILL_METERS,
+})
+
+// Area enclosed by a track that closes on itself, capped per activity
+const captureLoops = (track, activityType) => {
+  const { cells, rings, tooLarge } = loopCells(trackLoops(track, CONFIG.LOOP_CLOSE_METERS), activityRes(activityType), ACTIVITIES[activityType].maxLoopKm2 * 1e6)
+  return { cells: Array.from(cells), rings, tooLarge }
+}
+
+// A ride joins the closest earlier route of `rides`, or starts a new one
+// signed by its sorted cells
+const buildRide = async ({ userId, activityType, cells, startedAt, endedAt, duration, distance, rides = [], imported = false }) => {
+  const cellArr = Array.from(cells).sort()
+  return {
+    id: crypto.randomUUID(),
+    user_id: userId,
+    activity_type: activityType,
+    started_at: new Date(startedAt).toISOString(),
+    ended_at: new Date(endedAt).toISOString(),
+    duration_sec: Math.floor(duration),
+    distance_m: Math.floor(distance),
+    route_signature: matchRoute(cellArr, activityType, rides, CONFIG.ROUTE_MATCH_THRESHOLD) || await sha256(cellArr.join(',')),
+    h3_cells: cellArr,
+    tiles_touched: cellArr.length,
+    imported,
+  }
 }
 
 // ============== CONTEXT ==============
@@ -135,6 +198,125 @@ function StreakBadge({ streak }) {
   return <div className={`flex items-center gap-1 ${streak >= 7 ? 'text-orange-400' : 'text-amber-400'}`}><Flame className="w-4 h-4" /><span className="font-bold text-sm">{streak}</span></div>
 }
 
+function SyncBadge({ count }) {
+  if (!count) return null
+  return (
+    <div className="flex items-center gap-1 bg-amber-500/20 text-amber-300 text-xs font-medium px-2 py-1 rounded-full">
+      <CloudOff className="w-3 h-3" />{count} pending sync
+    </div>
+  )
+}
+
+function ExportButtons({ ride }) {
+  const { addToast } = useApp()
+  const [busy, setBusy] = useState(null)
+
+  const download = async (format) => {
+    setBusy(format)
+    const { error } = await downloadRide(ride, format)
+    if (error) addToast(error.message || 'Export failed', 'error')
+    setBusy(null)
+  }
+
+  return (
+    <div className="flex gap-2">
+      {Object.entries(EXPORT_FORMATS).map(([id, f]) => (
+        <button key={id} onClick={() => download(id)} disabled={!!busy} className="flex-1 bg-slate-700 text-white text-sm py-2 rounded-lg flex items-center justify-center gap-1 disabled:opacity-50">
+          {busy === id ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}{f.name}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+// Earlier rides that counted towards a route unlock; tapping one opens it
+function RouteMatchList({ matches }) {
+  const { setViewRide, setCurrentPage } = useApp()
+  if (!matches.length) return <p className="text-xs text-slate-500">No earlier rides on this route in the last {CONFIG.UNLOCK_WINDOW_DAYS} days</p>
+  return (
+    <div className="space-y-1">
+      <p className="text-xs text-slate-500">Counted towards this route:</p>
+      {matches.map(r => (
+        <button key={r.id} onClick={() => { setViewRide(r); setCurrentPage('rideDetail') }} className="w-full flex items-center justify-between bg-slate-700/50 rounded-lg px-3 py-2 text-sm">
+          <span className="text-white">{new Date(r.started_at).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })}</span>
+          <span className="text-slate-400">{(r.distance_m / 1000).toFixed(1)} km</span>
+        </button>
+      ))}
+    </div>
+  )
+}
+
+// GeoJSON for an area captured by closing a loop: its cells and the outline of each loop
+const loopFeatures = (loop) => ({
+  cells: { type: 'FeatureCollection', features: loop.cells.map(c => ({ type: 'Feature', geometry: { type: 'Polygon', coordinates: [cellToBoundary(c, true)] } })) },
+  rings: { type: 'FeatureCollection', features: loop.rings.map(r => ({ type: 'Feature', geometry: { type: 'LineString', coordinates: [...r, r[0]].map(p => [p.lng, p.lat]) } })) },
+})
+
+// Adds a GeoJSON source with its layers (below `beforeId` if given), or only
+// swaps the data when it already exists
+const setSource = (map, id, data, layers, beforeId) => {
+  const source = map.getSource(id)
+  if (source) { source.setData(data); return }
+  map.addSource(id, { type: 'geojson', data })
+  layers.forEach(layer => map.addLayer({ ...layer, source: id }, beforeId && map.getLayer(beforeId) ? beforeId : undefined))
+}
+
+const EMPTY_COLLECTION = { type: 'FeatureCollection', features: [] }
+
+const addLoopLayers = (map, loop, color) => {
+  const { cells, rings } = loop ? loopFeatures(loop) : { cells: EMPTY_COLLECTION, rings: EMPTY_COLLECTION }
+  setSource(map, 'loop-cells', cells, [{ id: 'loop-cells-fill', type: 'fill', paint: { 'fill-color': color, 'fill-opacity': 0.35 } }])
+  setSource(map, 'loop-rings', rings, [{ id: 'loop-rings-line', type: 'line', paint: { 'line-color': '#ffffff', 'line-width': 2, 'line-dasharray': [2, 2] } }])
+}
+
+// Owned tiles as a single fill layer on an existing map. The source is updated
+// in place when the cells or zoom level change, and zoomed out the cells are
+// drawn as coarser H3 parents so territories of 10k+ tiles stay smooth.
+// `cells` are all at `res`.
+function TerritoryLayer({ map, cells, color, res = CONFIG.H3_RESOLUTION, id = 'territory', opacity = 0.4, visible = true }) {
+  const [lodRes, setLodRes] = useState(null)
+  // Features per resolution, built on first use for this set of cells
+  const levels = useMemo(() => new Map(), [cells, res])
+
+  useEffect(() => {
+    if (!map) return
+    const update = () => setLodRes(lodResolution(map.getZoom(), res))
+    update()
+    map.on('zoomend', update)
+    return () => { map.off('zoomend', update) }
+  }, [map, res])
+
+  useEffect(() => {
+    if (!map || lodRes == null) return
+    if (!levels.has(lodRes)) levels.set(lodRes, lodFeatures(cells, lodRes, res))
+    setSource(map, id, levels.get(lodRes), [{ id: `${id}-fill`, type: 'fill', paint: { 'fill-color': color, 'fill-opacity': ['*', opacity, ['get', 'share']] } }])
+  }, [map, id, cells, levels, lodRes])
+
+  useEffect(() => {
+    if (!map?.getLayer(`${id}-fill`)) return
+    map.setPaintProperty(`${id}-fill`, 'fill-color', color)
+    map.setLayoutProperty(`${id}-fill`, 'visibility', visible ? 'visible' : 'none')
+  }, [map, id, color, visible, lodRes])
+
+  return null
+}
+
+// Map of the area a ride captured by closing a loop
+function LoopPreview({ loop, activity }) {
+  const containerRef = useRef(null)
+
+  useEffect(() => {
+    if (!containerRef.current || !loop?.rings.length) return
+    const points = loop.rings.flat()
+    const bounds = points.reduce((b, p) => b.extend([p.lng, p.lat]), new mapboxgl.LngLatBounds([points[0].lng, points[0].lat], [points[0].lng, points[0].lat]))
+    const map = new mapboxgl.Map({ container: containerRef.current, style: activity?.mapStyle || 'mapbox://styles/mapbox/dark-v11', bounds, fitBoundsOptions: { padding: 30 }, interactive: false, attributionControl: false })
+    map.on('load', () => addLoopLayers(map, loop, activity?.color))
+    return () => map.remove()
+  }, [loop, activity])
+
+  return <div ref={containerRef} className="h-48 rounded-xl overflow-hidden" />
+}
+
 function WeatherWidget({ weather, activity }) {
   if (!weather) return null
   const icons = { clear: Sun, clouds: Cloud, rain: CloudRain }
@@ -167,6 +349,7 @@ export default function App() {
   const [tiles, setTiles] = useState([])
   const [routeUnlocks, setRouteUnlocks] = useState([])
   const [lastRide, setLastRide] = useState(null)
+  const [viewRide, setViewRide] = useState(null)
   const [threats, setThreats] = useState([])
   const [showConfetti, setShowConfetti] = useState(false)
   const [clan, setClan] = useState(null)
@@ -176,6 +359,11 @@ export default function App() {
   const [weather, setWeather] = useState(null)
   const [suggestedRoutes, setSuggestedRoutes] = useState([])
   const [showTutorial, setShowTutorial] = useState(false)
+  const [recovered, setRecovered] = useState(undefined)
+  const [resumeSession, setResumeSession] = useState(null)
+  const [pendingSync, setPendingSync] = useState(0)
+  // Territory views merge every sport's tiles instead of showing one activity's
+  const [allSports, setAllSports] = useState(false)
 
   const addToast = useCallback((message, type = 'info') => setToasts(p => [...p, { id: Date.now(), message, type }]), [])
   const removeToast = useCallback((id) => setToasts(p => p.filter(t => t.id !== id)), [])
@@ -185,33 +373,33 @@ export default function App() {
 
   const addXp = useCallback(async (amount, reason) => {
     if (!user || !profile) return
-    const mult = activity?.xpMultiplier || 1
-    const gained = Math.floor(amount * mult)
-    const oldLvl = getLevel(profile.xp || 0), newXp = (profile.xp || 0) + gained, newLvl = getLevel(newXp)
-    const { data } = await supabase.from('profiles').update({ xp: newXp }).eq('id', user.id).select().single()
-    if (data) {
-      setProfile(data)
+    const gained = Math.floor(amount)
+    const oldLvl = levelFor(profile.xp || 0), newXp = (profile.xp || 0) + gained, newLvl = levelFor(newXp)
+    // Sent as an increment so a late replay can't overwrite XP earned meanwhile
+    const { data, queued } = await send('xp', { id: crypto.randomUUID(), delta: gained })
+    if (data || queued) {
+      setProfile(p => data || { ...p, xp: (p?.xp || 0) + gained })
       addToast(`+${gained} XP - ${reason}`, 'success')
       if (newLvl > oldLvl) { triggerConfetti(); addToast(`🎉 Level ${newLvl}!`, 'levelup') }
     }
-  }, [user, profile, activity, addToast, triggerConfetti])
+  }, [user, profile, addToast, triggerConfetti])
 
   // Fetch weather and user location
   const [userLocation, setUserLocation] = useState(null)
   const [routesLoading, setRoutesLoading] = useState(false)
   
   useEffect(() => {
-    navigator.geolocation.getCurrentPosition(async pos => {
-      setUserLocation({ lat: pos.coords.latitude, lng: pos.coords.longitude })
+    getCurrentPosition({ enableHighAccuracy: true, timeout: 10000 }).then(async pos => {
+      setUserLocation({ lat: pos.lat, lng: pos.lng })
       try {
-        const res = await fetch(`https://api.open-meteo.com/v1/forecast?latitude=${pos.coords.latitude}&longitude=${pos.coords.longitude}&current=temperature_2m,weather_code,wind_speed_10m`)
+        const res = await fetch(`https://api.open-meteo.com/v1/forecast?latitude=${pos.lat}&longitude=${pos.lng}&current=temperature_2m,weather_code,wind_speed_10m`)
         const data = await res.json()
         if (data.current) {
           const codes = { 0:'clear', 1:'clear', 2:'clouds', 3:'clouds', 45:'fog', 48:'fog', 51:'rain', 53:'rain', 55:'rain', 61:'rain', 63:'rain', 65:'rain', 71:'snow', 73:'snow', 75:'snow', 80:'rain', 81:'rain', 95:'storm' }
           setWeather({ temp: Math.round(data.current.temperature_2m), condition: codes[data.current.weather_code]||'clear', wind: Math.round(data.current.wind_speed_10m) })
         }
       } catch {}
-    }, () => {}, { enableHighAccuracy: true, timeout: 10000 })
+    }, () => {})
   }, [])
 
   // Generate road-based routes using Mapbox Directions API
@@ -250,7 +438,7 @@ export default function App() {
         // Sample points at multiple distances
         for (const dist of [0.3, 0.6, 1, 1.5, 2, 2.5, 3]) {
           const pt = getPointAtDistance(bearing, dist)
-          const cell = latLngToCell(pt.lat, pt.lng, CONFIG.H3_RESOLUTION)
+          const cell = latLngToCell(pt.lat, pt.lng, activityRes(selectedActivity))
           if (!ownedH3Set.has(cell)) score++
         }
         
@@ -307,7 +495,7 @@ export default function App() {
             let tilesOnRoute = 0
             const seenCells = new Set()
             for (const coord of routeCoords) {
-              const cell = latLngToCell(coord[1], coord[0], CONFIG.H3_RESOLUTION)
+              const cell = latLngToCell(coord[1], coord[0], activityRes(selectedActivity))
               if (!seenCells.has(cell)) {
                 seenCells.add(cell)
                 if (!ownedH3Set.has(cell)) tilesOnRoute++
@@ -367,6 +555,19 @@ export default function App() {
     generateRoadRoutes()
   }, [selectedActivity, tiles, weather, userLocation])
 
+  // Look for a recording that was interrupted by a reload or app kill
+  useEffect(() => { loadSession().then(setRecovered) }, [])
+
+  // Drain the offline outbox once signed in and whenever connectivity returns
+  useEffect(() => {
+    if (!user) return
+    const unsubscribe = onOutboxChange(setPendingSync)
+    const flush = () => flushOutbox({ force: true })
+    flush()
+    window.addEventListener('online', flush)
+    return () => { unsubscribe(); window.removeEventListener('online', flush) }
+  }, [user])
+
   // Auth listener
   useEffect(() => {
     supabase.auth.getSession().then(({ data: { session } }) => {
@@ -403,12 +604,18 @@ export default function App() {
     const [r1, r2, r3, r4] = await Promise.all([
       supabase.from('rides').select('*').eq('user_id', userId).order('created_at', { ascending: false }),
       supabase.from('tiles').select('*').eq('current_owner_user_id', userId),
-      supabase.from('route_threats').select('*').eq('defender_user_id', userId).eq('status', 'active'),
+      supabase.from('route_threats').select('*').eq('defender_user_id', userId).order('created_at', { ascending: false }).limit(50),
       supabase.from('route_unlocks').select('*').eq('user_id', userId).eq('is_unlocked', true)
     ])
     if (r1.data) setRides(r1.data)
-    if (r2.data) setTiles(r2.data)
-    if (r3.data) setThreats(r3.data)
+    // Decayed tiles are neutral even before anything overwrites their row
+    if (r2.data) setTiles(liveTiles(r2.data))
+    if (r3.data) {
+      // Threats whose deadline passed while we were away lapse now
+      const lapsed = new Set(expiredThreats(r3.data).map(t => t.id))
+      lapsed.forEach(id => send('threat', { id, status: 'expired', resolvedAt: new Date().toISOString() }))
+      setThreats(r3.data.map(t => lapsed.has(t.id) ? { ...t, status: 'expired' } : t))
+    }
     if (r4.data) setRouteUnlocks(r4.data)
   }
 
@@ -424,11 +631,7 @@ export default function App() {
 
   const calcStreak = async (userId) => {
     const { data } = await supabase.from('rides').select('started_at').eq('user_id', userId).order('started_at', { ascending: false }).limit(60)
-    if (!data?.length) { setStreak(0); return }
-    let s = 0, d = new Date(); d.setHours(0,0,0,0)
-    const dates = [...new Set(data.map(r => { const x = new Date(r.started_at); x.setHours(0,0,0,0); return x.getTime() }))].sort((a,b)=>b-a)
-    for (const rd of dates) { if (d.getTime()-rd <= 86400000) { s++; d = new Date(rd) } else break }
-    setStreak(s)
+    setStreak(streakDays((data || []).map(r => r.started_at)))
   }
 
   const handleSignOut = async () => {
@@ -437,14 +640,17 @@ export default function App() {
   }
 
   const ctx = {
-    user, profile, setProfile, rides, setRides, tiles, setTiles, routeUnlocks, threats,
-    currentPage, setCurrentPage, addToast, lastRide, setLastRide, handleSignOut, loadData,
-    triggerConfetti, clan, setClan, loadClan, achievements, streak, calcStreak, addXp,
+    user, profile, setProfile, rides, setRides, tiles, setTiles, routeUnlocks, setRouteUnlocks, threats, setThreats,
+    currentPage, setCurrentPage, addToast, lastRide, setLastRide, viewRide, setViewRide, handleSignOut, loadData,
+    triggerConfetti, clan, setClan, loadClan, achievements, setAchievements, streak, calcStreak, addXp, allSports, setAllSports,
     selectedActivity, setSelectedActivity, weather, suggestedRoutes, activity,
-    showTutorial, setShowTutorial, userLocation, routesLoading
+    showTutorial, setShowTutorial, userLocation, routesLoading,
+    recovered, setRecovered, resumeSession, setResumeSession, pendingSync
   }
 
-  if (loading) return (
+  const pendingRecovery = recovered && user && profile && recovered.userId === user.id
+
+  if (loading || recovered === undefined) return (
     <div className="min-h-screen bg-slate-900 flex items-center justify-center">
       <div className="text-center space-y-4">
         <Loader2 className="w-12 h-12 text-cyan-500 animate-spin mx-auto" />
@@ -456,11 +662,13 @@ export default function App() {
   return (
     <AppContext.Provider value={ctx}>
       <div className="min-h-screen bg-slate-900">
-        {currentPage === 'onboarding' && <OnboardingScreen />}
-        {currentPage === 'auth' && <AuthScreen />}
-        {currentPage === 'activitySelect' && <ActivitySelectScreen />}
-        {currentPage === 'profileSetup' && user && <ProfileSetupScreen />}
-        {user && profile && selectedActivity && !['onboarding','auth','activitySelect','profileSetup'].includes(currentPage) && <MainApp />}
+        {pendingRecovery ? <RecoveryScreen /> : <>
+          {currentPage === 'onboarding' && <OnboardingScreen />}
+          {currentPage === 'auth' && <AuthScreen />}
+          {currentPage === 'activitySelect' && <ActivitySelectScreen />}
+          {currentPage === 'profileSetup' && user && <ProfileSetupScreen />}
+          {user && profile && selectedActivity && !['onboarding','auth','activitySelect','profileSetup'].includes(currentPage) && <MainApp />}
+        </>}
         <ToastContainer toasts={toasts} removeToast={removeToast} />
         <Confetti active={showConfetti} />
         {showTutorial && <TutorialOverlay />}
@@ -487,7 +695,7 @@ function TutorialOverlay() {
   const steps = [
     { icon: <MapPin className="w-16 h-16" style={{ color: activity?.color }} />, title: 'Welcome to TerritoryTrack!', desc: `Claim territory while ${activity?.name.toLowerCase()}. The more you move, the more you own.` },
     { icon: <Navigation className="w-16 h-16 text-emerald-400" />, title: 'Track Your Activity', desc: `Tap 'Start ${activity?.name}' to begin tracking your route with GPS.` },
-    { icon: <Target className="w-16 h-16 text-purple-400" />, title: 'Unlock Routes', desc: 'Complete the same route 3 times in 7 days to unlock it and claim tiles.' },
+    { icon: <Target className="w-16 h-16 text-purple-400" />, title: 'Unlock Routes', desc: 'Complete the same route 3 times in 7 days to unlock it and take tiles from rivals.' },
     { icon: <Sparkles className="w-16 h-16 text-amber-400" />, title: 'Smart Routes', desc: 'Get personalized route suggestions based on weather and your progress!' },
     { icon: <Trophy className="w-16 h-16 text-yellow-400" />, title: 'Ready to Go!', desc: 'Earn XP, unlock achievements, and dominate the leaderboard!' }
   ]
@@ -525,6 +733,54 @@ function TutorialOverlay() {
   )
 }
 
+// ============== RECOVERY ==============
+function RecoveryScreen() {
+  const { recovered, setRecovered, setResumeSession, setSelectedActivity, setCurrentPage } = useApp()
+  const act = ACTIVITIES[recovered.activity_type]
+  const lastSeen = recovered.pauseStartedAt || recovered.savedAt
+  const duration = (lastSeen - recovered.startedAt - recovered.pausedMs) / 1000
+
+  const open = (autoSave) => {
+    setSelectedActivity(recovered.activity_type)
+    setResumeSession({ ...recovered, autoSave })
+    setRecovered(null)
+    setCurrentPage('ride')
+  }
+
+  const discard = async () => {
+    await clearSession()
+    setRecovered(null)
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 text-white flex flex-col justify-center px-6">
+      <div className="space-y-6 animate-fade-in">
+        <div className="text-center">
+          <div className="w-20 h-20 rounded-3xl flex items-center justify-center mx-auto mb-4 text-4xl" style={{ backgroundColor: `${act?.color}20` }}>{act?.emoji}</div>
+          <h1 className="text-2xl font-bold">Recovered {act?.name}</h1>
+          <p className="text-slate-400 mt-2">An unfinished activity from {new Date(recovered.startedAt).toLocaleString()} was found.</p>
+        </div>
+        <div className="bg-slate-800/50 rounded-xl p-4 border border-slate-700 grid grid-cols-3 gap-4 text-center">
+          <div><div className="text-lg font-bold">{((recovered.stats?.distance || 0) / 1000).toFixed(2)}</div><div className="text-xs text-slate-500">km</div></div>
+          <div><div className="text-lg font-bold">{formatDuration(Math.max(duration, 0))}</div><div className="text-xs text-slate-500">time</div></div>
+          <div><div className="text-lg font-bold">{recovered.cells?.length || 0}</div><div className="text-xs text-slate-500">tiles</div></div>
+        </div>
+        <div className="space-y-3">
+          <button onClick={() => open(false)} className={`w-full bg-gradient-to-r ${act?.gradient} text-white font-bold py-4 rounded-xl flex items-center justify-center gap-2`}>
+            <Play className="w-5 h-5" fill="currentColor" />Resume
+          </button>
+          <button onClick={() => open(true)} className="w-full bg-emerald-600 text-white font-bold py-4 rounded-xl flex items-center justify-center gap-2">
+            <Save className="w-5 h-5" />Save
+          </button>
+          <button onClick={discard} className="w-full bg-red-600/20 text-red-400 font-semibold py-3 rounded-xl border border-red-600/30">
+            Discard
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
 // ============== ONBOARDING ==============
 function OnboardingScreen() {
   const { setCurrentPage } = useApp()
@@ -787,7 +1043,7 @@ function ProfileSetupScreen() {
 
 // ============== MAIN APP ==============
 function MainApp() {
-  const { currentPage } = useApp()
+  const { currentPage, viewRide } = useApp()
   return (
     <div className="min-h-screen bg-slate-900 flex flex-col">
       <div className="flex-1 overflow-auto">
@@ -800,29 +1056,38 @@ function MainApp() {
         {currentPage === 'leaderboard' && <LeaderboardPage />}
         {currentPage === 'profile' && <ProfilePage />}
         {currentPage === 'settings' && <SettingsPage />}
+        {currentPage === 'import' && <ImportPage />}
+        {currentPage === 'history' && <HistoryPage />}
+        {currentPage === 'rideDetail' && <RideDetailPage key={viewRide?.id} />}
         {currentPage === 'kingOfCity' && <KingOfCityPage />}
         {currentPage === 'clan' && <ClanPage />}
         {currentPage === 'joinClan' && <JoinClanPage />}
         {currentPage === 'createClan' && <CreateClanPage />}
       </div>
-      {!['ride', 'rideSummary', 'routes', 'routePreview', 'joinClan', 'createClan', 'settings', 'kingOfCity'].includes(currentPage) && <BottomNav />}
+      {!['ride', 'rideSummary', 'routes', 'routePreview', 'joinClan', 'createClan', 'settings', 'import', 'rideDetail', 'kingOfCity'].includes(currentPage) && <BottomNav />}
     </div>
   )
 }
 
 // ============== HOME PAGE ==============
 function HomePage() {
-  const { user, profile, rides, tiles, setCurrentPage, streak, clan, selectedActivity, setSelectedActivity, weather, suggestedRoutes, activity, userLocation, routesLoading } = useApp()
+  const { user, profile, rides, tiles, threats, setCurrentPage, streak, clan, selectedActivity, setSelectedActivity, weather, suggestedRoutes, activity, userLocation, routesLoading, pendingSync, allSports, setAllSports } = useApp()
+  const [now, setNow] = useState(Date.now())
+  useEffect(() => { const t = setInterval(() => setNow(Date.now()), 60000); return () => clearInterval(t) }, [])
   
   const actTiles = tiles.filter(t => t.activity_type === selectedActivity)
+  const counts = useMemo(() => territoryCounts(tiles, CONFIG.H3_RESOLUTION), [tiles])
+  const territory = useMemo(() => ({ count: allSports ? counts.total : activityCells(tiles, selectedActivity).length, sport: allSports ? ALL_SPORTS : activity }), [tiles, counts, allSports, selectedActivity, activity])
+  const activeThreats = threats.filter(t => t.status === 'active' && threatTimeLeft(t, now) > 0).sort((a, b) => threatTimeLeft(a, now) - threatTimeLeft(b, now))
+  const expiring = (allSports ? tiles : actTiles).filter(t => tileStatus(t) === 'expiring').length
   const weekly = useMemo(() => {
     const wk = Date.now() - 7*86400000
     const wr = rides.filter(r => r.activity_type === selectedActivity && new Date(r.started_at).getTime() >= wk)
     return { count: wr.length, distance: wr.reduce((s,r) => s + (r.distance_m||0), 0) / 1000 }
   }, [rides, selectedActivity])
 
-  const level = getLevel(profile?.xp || 0)
-  const xpProg = getXpProgress(profile?.xp || 0)
+  const level = levelFor(profile?.xp || 0)
+  const xpProg = levelProgress(profile?.xp || 0)
 
   return (
     <div className="p-4 space-y-4 pb-24">
@@ -846,9 +1111,12 @@ function HomePage() {
             </div>
           </div>
         </div>
-        <button onClick={() => setCurrentPage('profile')} className="p-2 bg-slate-800 rounded-lg">
-          <Settings className="w-5 h-5 text-slate-400" />
-        </button>
+        <div className="flex items-center gap-2">
+          <SyncBadge count={pendingSync} />
+          <button onClick={() => setCurrentPage('profile')} className="p-2 bg-slate-800 rounded-lg">
+            <Settings className="w-5 h-5 text-slate-400" />
+          </button>
+        </div>
       </div>
 
       {/* Activity Pills - Toggleable */}
@@ -878,6 +1146,31 @@ function HomePage() {
       {/* Weather */}
       {weather && <WeatherWidget weather={weather} activity={activity} />}
 
+      {/* Route Threats */}
+      {activeThreats.length > 0 && (
+        <div className="bg-red-500/10 rounded-2xl p-4 border border-red-500/40">
+          <div className="flex items-center gap-2 mb-3">
+            <Bell className="w-5 h-5 text-red-400" />
+            <span className="font-semibold text-white">{activeThreats.length === 1 ? 'A route is' : `${activeThreats.length} routes are`} under threat</span>
+          </div>
+          <div className="space-y-2">
+            {activeThreats.map(t => (
+              <div key={t.id} className="bg-slate-800 rounded-xl p-3 flex items-center gap-3">
+                <span className="text-2xl">{ACTIVITIES[t.activity_type]?.emoji}</span>
+                <div className="flex-1">
+                  <div className="text-sm text-white">A rival crossed {t.cells_crossed} tiles{t.cells_stolen ? ` and stole ${t.cells_stolen}` : ''}</div>
+                  <div className="text-xs text-slate-400">Ride it again to defend (+{DEFEND_XP} XP)</div>
+                </div>
+                <div className="text-right">
+                  <div className="font-bold text-red-400">{formatCountdown(threatTimeLeft(t, now))}</div>
+                  <div className="text-xs text-slate-500">left</div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Start Button */}
       <button onClick={() => setCurrentPage('ride')} className={`w-full bg-gradient-to-r ${activity?.gradient} text-white font-bold py-6 rounded-2xl shadow-lg flex items-center justify-center gap-3`} style={{ boxShadow: `0 10px 40px ${activity?.color}40` }}>
         <Play className="w-8 h-8" fill="currentColor" />
@@ -945,14 +1238,25 @@ function HomePage() {
       </div>
 
       {/* Territory Card */}
-      <div onClick={() => setCurrentPage('territory')} className="rounded-2xl p-4 border cursor-pointer" style={{ backgroundColor: `${activity?.color}10`, borderColor: `${activity?.color}30` }}>
+      <div onClick={() => setCurrentPage('territory')} className="rounded-2xl p-4 border cursor-pointer" style={{ backgroundColor: `${territory.sport?.color}10`, borderColor: `${territory.sport?.color}30` }}>
         <div className="flex justify-between items-start">
           <div>
-            <h2 className="text-sm font-semibold" style={{ color: activity?.color }}>My {activity?.name} Territory</h2>
-            <div className="text-4xl font-bold text-white">{actTiles.length}</div>
+            <h2 className="text-sm font-semibold" style={{ color: territory.sport?.color }}>My {territory.sport?.name} Territory</h2>
+            <div className="text-4xl font-bold text-white">{territory.count}</div>
             <div className="text-sm text-slate-400">tiles conquered</div>
+            {allSports && <div className="text-xs text-slate-400 mt-1">{Object.values(ACTIVITIES).map(a => `${a.emoji} ${counts.bySport[a.id] || 0}`).join(' • ')}</div>}
+            {expiring > 0 && (
+              <div className="text-xs text-amber-400 mt-1 flex items-center gap-1">
+                <Clock className="w-3 h-3" />{expiring} {expiring === 1 ? 'tile' : 'tiles'} expiring soon - ride them to defend
+              </div>
+            )}
+          </div>
+          <div className="flex flex-col items-end gap-2">
+            <div className="text-4xl">{territory.sport?.emoji}</div>
+            <button onClick={(e) => { e.stopPropagation(); setAllSports(v => !v) }} className="text-xs px-2 py-1 rounded-lg border" style={allSports ? { backgroundColor: `${ALL_SPORTS.color}30`, borderColor: ALL_SPORTS.color, color: ALL_SPORTS.color } : { borderColor: '#334155', color: '#94a3b8' }}>
+              {ALL_SPORTS.name}
+            </button>
           </div>
-          <div className="text-4xl">{activity?.emoji}</div>
         </div>
       </div>
 
@@ -1011,9 +1315,11 @@ function HomePage() {
 // ============== ROUTES PAGE ==============
 function RoutesPage() {
   const { suggestedRoutes, selectedActivity, setCurrentPage, tiles, weather, activity, routesLoading, userLocation } = useApp()
-  const owned = tiles.filter(t => t.activity_type === selectedActivity).length
+  const ownedCells = useMemo(() => activityCells(tiles, selectedActivity), [tiles, selectedActivity])
+  const owned = ownedCells.length
   const [selectedRoute, setSelectedRoute] = useState(null)
   const [showPreview, setShowPreview] = useState(false)
+  const [previewMap, setPreviewMap] = useState(null)
   const mapRef = useRef(null)
   const previewMapRef = useRef(null)
 
@@ -1066,26 +1372,18 @@ function RoutesPage() {
           mapRef.current.fitBounds(bounds, { padding: 50 })
         }
       }
-      
-      // Show owned tiles
-      const ownedTiles = tiles.filter(t => t.activity_type === selectedActivity)
-      if (ownedTiles.length > 0) {
-        const features = ownedTiles.map(t => ({
-          type: 'Feature',
-          geometry: { type: 'Polygon', coordinates: [cellToBoundary(t.h3_index, true)] }
-        }))
-        mapRef.current.addSource('owned', { type: 'geojson', data: { type: 'FeatureCollection', features } })
-        mapRef.current.addLayer({ id: 'owned-fill', type: 'fill', source: 'owned', paint: { 'fill-color': activity?.color, 'fill-opacity': 0.25 } })
-      }
+
+      setPreviewMap(mapRef.current)
     })
     
     return () => {
+      setPreviewMap(null)
       if (mapRef.current) {
         mapRef.current.remove()
         mapRef.current = null
       }
     }
-  }, [showPreview, selectedRoute, userLocation, activity, tiles, selectedActivity])
+  }, [showPreview, selectedRoute, userLocation, activity])
 
   // Route preview modal
   if (showPreview && selectedRoute) {
@@ -1093,6 +1391,8 @@ function RoutesPage() {
       <div className="h-screen flex flex-col bg-slate-900">
         {/* Map */}
         <div ref={previewMapRef} className="flex-1 relative">
+          <TerritoryLayer map={previewMap} cells={ownedCells} color={activity?.color} opacity={0.25} />
+          <TileSheet map={previewMap} activityType={selectedActivity} />
           <button 
             onClick={() => { setShowPreview(false); setSelectedRoute(null) }}
             className="absolute top-4 left-4 z-10 bg-slate-800/90 rounded-full p-2"
@@ -1275,6 +1575,7 @@ function RoutesPage() {
 // ============== ROUTE PREVIEW PAGE ==============
 function RoutePreviewPage() {
   const { setCurrentPage, activity, userLocation, tiles, selectedActivity } = useApp()
+  const ownedCells = useMemo(() => activityCells(tiles, selectedActivity), [tiles, selectedActivity])
   const [route, setRoute] = useState(null)
   const [mapLoaded, setMapLoaded] = useState(false)
   const mapRef = useRef(null)
@@ -1361,31 +1662,13 @@ function RoutePreviewPage() {
         coordinates.forEach(coord => bounds.extend(coord))
         mapRef.current.fitBounds(bounds, { padding: 50 })
       }
-
-      // Show owned tiles
-      const ownedTiles = tiles.filter(t => t.activity_type === selectedActivity)
-      if (ownedTiles.length > 0) {
-        const features = ownedTiles.map(t => ({
-          type: 'Feature',
-          geometry: { type: 'Polygon', coordinates: [cellToBoundary(t.h3_index, true)] }
-        }))
-        mapRef.current.addSource('owned-tiles', {
-          type: 'geojson',
-          data: { type: 'FeatureCollection', features }
-        })
-        mapRef.current.addLayer({
-          id: 'owned-tiles-fill',
-          type: 'fill',
-          source: 'owned-tiles',
-          paint: { 'fill-color': activity?.color, 'fill-opacity': 0.3 }
-        })
-      }
     })
 
     return () => {
-      if (mapRef.current) mapRef.current.remove()
+      if (mapRef.current) { mapRef.current.remove(); mapRef.current = null }
+      setMapLoaded(false)
     }
-  }, [route, userLocation, activity, tiles, selectedActivity])
+  }, [route, userLocation, activity])
 
   const startRoute = () => {
     setCurrentPage('ride')
@@ -1403,6 +1686,8 @@ function RoutePreviewPage() {
     <div className="h-screen flex flex-col bg-slate-900">
       {/* Map */}
       <div ref={containerRef} className="flex-1 relative">
+        <TerritoryLayer map={mapLoaded ? mapRef.current : null} cells={ownedCells} color={activity?.color} opacity={0.3} />
+        <TileSheet map={mapLoaded ? mapRef.current : null} activityType={selectedActivity} />
         {/* Back button */}
         <button 
           onClick={() => setCurrentPage('routes')} 
@@ -1480,7 +1765,7 @@ function RoutePreviewPage() {
 
 // ============== RECORDING PAGE ==============
 function RecordingPage() {
-  const { user, setRides, setCurrentPage, addToast, setLastRide, triggerConfetti, addXp, calcStreak, selectedActivity, activity, profile } = useApp()
+  const { user, rides, setRides, tiles, setTiles, routeUnlocks, setRouteUnlocks, threats, setThreats, achievements, setAchievements, setCurrentPage, addToast, setLastRide, triggerConfetti, addXp, calcStreak, selectedActivity, activity, profile, resumeSession, setResumeSession } = useApp()
   const [state, setState] = useState('idle')
   const [stats, setStats] = useState({ distance: 0, duration: 0, tiles: 0, speed: 0 })
   const [gps, setGps] = useState('waiting')
@@ -1489,10 +1774,14 @@ function RecordingPage() {
   const [trackChallenge, setTrackChallenge] = useState(null)
   const [trackCompleted, setTrackCompleted] = useState(false)
   const [activeRoute, setActiveRoute] = useState(null)
+  const [autoSave, setAutoSave] = useState(false)
+  const [autoPause, setAutoPause] = useState(() => localStorage.getItem('autoPause') === 'true')
 
   const mapRef = useRef(null), markerRef = useRef(null), containerRef = useRef(null)
   const startRef = useRef(null), pauseRef = useRef(null), pausedRef = useRef(0)
-  const watchRef = useRef(null), timerRef = useRef(null), pointsRef = useRef([])
+  const watchRef = useRef(null), timerRef = useRef(null), trackerRef = useRef(null)
+  const checkpointRef = useRef({ state: null, at: 0 }), endedRef = useRef(false)
+  const autoPausedRef = useRef(false), resumedAtRef = useRef(null)
 
   // Check for active route
   useEffect(() => {
@@ -1517,6 +1806,69 @@ function RecordingPage() {
     }
   }, [])
 
+  // Restore a recovered session; the time since its last checkpoint counts as paused
+  useEffect(() => {
+    if (!resumeSession) return
+    const s = resumeSession
+    setResumeSession(null)
+    startRef.current = s.startedAt
+    pausedRef.current = s.pausedMs
+    pauseRef.current = s.pauseStartedAt || s.savedAt
+    trackerRef.current = newTracker(selectedActivity)
+    trackerRef.current.restore({ raw: s.raw, points: s.points, cells: s.cells, distance: s.stats?.distance })
+    setCells(new Set(s.cells))
+    setStats({ ...s.stats, speed: 0, duration: (pauseRef.current - s.startedAt - s.pausedMs) / 1000 })
+    setActiveRoute(s.activeRoute || null)
+    setTrackChallenge(s.trackChallenge || null)
+    setTrackCompleted(!!s.trackCompleted)
+    setState('paused')
+    if (s.autoSave) setAutoSave(true)
+  }, [])
+
+  // Checkpoint the session so it survives reloads and app kills. Writes are
+  // throttled to one per CHECKPOINT_INTERVAL_MS; a trailing timer flushes
+  // whatever changed inside the window, and hiding the page writes at once.
+  const writeCheckpoint = useRef(null)
+  writeCheckpoint.current = () => {
+    if (state === 'idle' || !trackerRef.current || endedRef.current) return
+    checkpointRef.current = { state, at: Date.now() }
+    saveSession({
+      userId: user.id,
+      activity_type: selectedActivity,
+      state,
+      startedAt: startRef.current,
+      pausedMs: pausedRef.current,
+      pauseStartedAt: state !== 'recording' ? pauseRef.current : null,
+      raw: trackerRef.current.raw,
+      points: trackerRef.current.points,
+      cells: Array.from(cells),
+      stats,
+      activeRoute,
+      trackChallenge,
+      trackCompleted,
+    })
+  }
+
+  useEffect(() => {
+    if (state === 'idle') return
+    const last = checkpointRef.current
+    const wait = state === last.state ? CONFIG.CHECKPOINT_INTERVAL_MS - (Date.now() - last.at) : 0
+    if (wait <= 0) { writeCheckpoint.current(); return }
+    const timer = setTimeout(() => writeCheckpoint.current(), wait)
+    return () => clearTimeout(timer)
+  }, [state, cells, stats, trackCompleted])
+
+  useEffect(() => {
+    const flush = () => writeCheckpoint.current()
+    const onVisibility = () => { if (document.visibilityState === 'hidden') flush() }
+    document.addEventListener('visibilitychange', onVisibility)
+    window.addEventListener('pagehide', flush)
+    return () => {
+      document.removeEventListener('visibilitychange', onVisibility)
+      window.removeEventListener('pagehide', flush)
+    }
+  }, [])
+
   // Check if track distance reached
   useEffect(() => {
     if (trackChallenge && !trackCompleted && state === 'recording') {
@@ -1540,10 +1892,12 @@ function RecordingPage() {
   const saveTrackTime = async (challenge, timeSeconds) => {
     try {
       if (challenge.trackId && !['sprint', 'classic', 'king'].includes(challenge.trackId)) {
-        await supabase.from('track_times').insert({
+        await send('trackTime', {
+          id: crypto.randomUUID(),
           user_id: user.id,
           track_id: challenge.trackId,
-          time_seconds: timeSeconds
+          time_seconds: timeSeconds,
+          recorded_at: new Date().toISOString()
         })
       }
       localStorage.removeItem('activeTrackChallenge')
@@ -1565,17 +1919,17 @@ function RecordingPage() {
 
   useEffect(() => {
     if (!containerRef.current || mapRef.current) return
-    navigator.geolocation.getCurrentPosition(
+    getCurrentPosition().then(
       pos => {
         mapRef.current = new mapboxgl.Map({
           container: containerRef.current,
           style: activity?.mapStyle || 'mapbox://styles/mapbox/dark-v11',
-          center: [pos.coords.longitude, pos.coords.latitude],
+          center: [pos.lng, pos.lat],
           zoom: 15,
           attributionControl: false
         })
         markerRef.current = new mapboxgl.Marker({ color: activity?.color })
-          .setLngLat([pos.coords.longitude, pos.coords.latitude])
+          .setLngLat([pos.lng, pos.lat])
           .addTo(mapRef.current)
 
         // Add route line if active route exists
@@ -1629,124 +1983,154 @@ function RecordingPage() {
     return () => { if (mapRef.current) mapRef.current.remove() }
   }, [activity, activeRoute])
 
-  const start = useCallback(() => {
+  // Auto-pause moves the stopped stretch into pausedRef; the clock freezes at the moment we stopped
+  const checkAutoPause = () => {
+    if (!autoPause || autoPausedRef.current) return
+    const since = stillSince(trackerRef.current.points, activity.autoPauseRadius)
+    if (since == null || Date.now() - since < activity.autoPauseSeconds * 1000) return
+    autoPausedRef.current = true
+    pauseRef.current = Math.max(since, resumedAtRef.current)
+    setState('autoPaused')
+    setStats(s => ({ ...s, speed: 0, duration: (pauseRef.current - startRef.current - pausedRef.current) / 1000 }))
+  }
+
+  const autoResume = () => {
+    pausedRef.current += Date.now() - pauseRef.current
+    autoPausedRef.current = false
+    resumedAtRef.current = Date.now()
     setState('recording')
-    startRef.current = Date.now()
-    pausedRef.current = 0
-    pointsRef.current = []
-    setStats({ distance: 0, duration: 0, tiles: 0, speed: 0 })
-    setCells(new Set())
+  }
 
-    watchRef.current = navigator.geolocation.watchPosition(
-      pos => {
-        const pt = { lat: pos.coords.latitude, lng: pos.coords.longitude, ts: Date.now(), acc: pos.coords.accuracy }
-        setGps(pt.acc <= 20 ? 'good' : pt.acc <= 50 ? 'okay' : 'poor')
-        if (pt.acc > CONFIG.MIN_ACCURACY_METERS) return
-
-        const cell = latLngToCell(pt.lat, pt.lng, CONFIG.H3_RESOLUTION)
-        setCells(prev => { const n = new Set(prev); n.add(cell); setStats(s => ({ ...s, tiles: n.size })); return n })
-
-        const prev = pointsRef.current
-        if (prev.length >= 1) {
-          const last = prev[prev.length - 1]
-          const dist = haversine(last.lat, last.lng, pt.lat, pt.lng)
-          const dt = (pt.ts - last.ts) / 1000
-          const spd = dt > 0 ? dist / dt : 0
-          if (spd > CONFIG.MAX_SPEED_MS[selectedActivity]) return
-          setStats(s => ({ ...s, distance: s.distance + dist, speed: spd * 3.6 }))
+  // Feed fixes from the active position source into the tracker
+  const listen = useCallback(() => {
+    resumedAtRef.current = Date.now()
+    watchRef.current = getPositionSource().watch(
+      pt => {
+        const tracker = trackerRef.current
+        if (autoPausedRef.current) {
+          setGps(gpsQuality(pt))
+          if (!hasMoved(tracker.points, pt, activity.autoPauseRadius)) return
+          autoResume()
         }
+        const { accepted, gps } = tracker.push(pt)
+        setGps(gps)
+        if (!accepted) return
+        setStats(s => ({ ...s, distance: tracker.distance, speed: tracker.speed * 3.6, tiles: tracker.cells.size }))
+        setCells(new Set(tracker.cells))
         if (mapRef.current && markerRef.current) {
           markerRef.current.setLngLat([pt.lng, pt.lat])
           mapRef.current.flyTo({ center: [pt.lng, pt.lat], zoom: 16 })
         }
-        pointsRef.current = [...prev, pt]
+        checkAutoPause()
       },
-      () => setGps('poor'),
-      { enableHighAccuracy: true, maximumAge: 0, timeout: 10000 }
+      () => setGps('poor')
     )
     timerRef.current = setInterval(() => {
+      checkAutoPause()
+      if (autoPausedRef.current) return
       setStats(s => ({ ...s, duration: (Date.now() - startRef.current - pausedRef.current) / 1000 }))
     }, 1000)
+  }, [activity, autoPause])
+
+  const stopListening = () => {
+    if (watchRef.current) { watchRef.current(); watchRef.current = null }
+    if (timerRef.current) clearInterval(timerRef.current)
+  }
+
+  const start = useCallback(() => {
+    setState('recording')
+    startRef.current = Date.now()
+    pausedRef.current = 0
+    trackerRef.current = newTracker(selectedActivity)
+    setStats({ distance: 0, duration: 0, tiles: 0, speed: 0 })
+    setCells(new Set())
+    listen()
     addToast(`${activity?.name} started! ${activity?.emoji}`, 'success')
-  }, [selectedActivity, activity, addToast])
+  }, [selectedActivity, activity, addToast, listen])
 
   const pause = useCallback(() => {
     setState('paused')
-    pauseRef.current = Date.now()
-    if (watchRef.current) navigator.geolocation.clearWatch(watchRef.current)
-    if (timerRef.current) clearInterval(timerRef.current)
+    // An auto-pause in progress already marks when we stopped
+    if (!autoPausedRef.current) pauseRef.current = Date.now()
+    autoPausedRef.current = false
+    stopListening()
   }, [])
 
   const resume = useCallback(() => {
     if (pauseRef.current) pausedRef.current += Date.now() - pauseRef.current
     setState('recording')
-    watchRef.current = navigator.geolocation.watchPosition(
-      pos => {
-        const pt = { lat: pos.coords.latitude, lng: pos.coords.longitude, ts: Date.now(), acc: pos.coords.accuracy }
-        setGps(pt.acc <= 20 ? 'good' : pt.acc <= 50 ? 'okay' : 'poor')
-        if (pt.acc > CONFIG.MIN_ACCURACY_METERS) return
-        const cell = latLngToCell(pt.lat, pt.lng, CONFIG.H3_RESOLUTION)
-        setCells(prev => { const n = new Set(prev); n.add(cell); setStats(s => ({ ...s, tiles: n.size })); return n })
-        const prev = pointsRef.current
-        if (prev.length >= 1) {
-          const last = prev[prev.length-1], dist = haversine(last.lat, last.lng, pt.lat, pt.lng)
-          const dt = (pt.ts - last.ts)/1000, spd = dt > 0 ? dist/dt : 0
-          if (spd > CONFIG.MAX_SPEED_MS[selectedActivity]) return
-          setStats(s => ({ ...s, distance: s.distance + dist, speed: spd * 3.6 }))
-        }
-        if (mapRef.current && markerRef.current) { markerRef.current.setLngLat([pt.lng, pt.lat]); mapRef.current.flyTo({ center: [pt.lng, pt.lat], zoom: 16 }) }
-        pointsRef.current = [...prev, pt]
-      },
-      () => setGps('poor'),
-      { enableHighAccuracy: true, maximumAge: 0, timeout: 10000 }
-    )
-    timerRef.current = setInterval(() => {
-      setStats(s => ({ ...s, duration: (Date.now() - startRef.current - pausedRef.current) / 1000 }))
-    }, 1000)
-  }, [selectedActivity])
+    listen()
+  }, [listen])
 
   const end = useCallback(async (save) => {
-    if (watchRef.current) navigator.geolocation.clearWatch(watchRef.current)
-    if (timerRef.current) clearInterval(timerRef.current)
+    stopListening()
     setShowEnd(false)
+    // One last checkpoint covers a crash while saving; none may follow clearSession()
+    writeCheckpoint.current()
+    endedRef.current = true
 
-    if (!save) { addToast('Discarded', 'info'); setCurrentPage('home'); return }
-    if (pointsRef.current.length < CONFIG.MIN_RIDE_POINTS) { addToast('Too short', 'warning'); setCurrentPage('home'); return }
+    const track = trackerRef.current?.points || [], raw = trackerRef.current?.raw || []
+    if (!save) { clearSession(); addToast('Discarded', 'info'); setCurrentPage('home'); return }
+    if (track.length < CONFIG.MIN_RIDE_POINTS) { clearSession(); addToast('Too short', 'warning'); setCurrentPage('home'); return }
 
     const cellArr = Array.from(cells)
-    const sig = await sha256(cellArr.join(','))
-    const ride = {
-      user_id: user.id,
-      activity_type: selectedActivity,
-      started_at: new Date(startRef.current).toISOString(),
-      ended_at: new Date().toISOString(),
-      duration_sec: Math.floor(stats.duration),
-      distance_m: Math.floor(stats.distance),
-      route_signature: sig,
-      tiles_touched: cellArr.length
-    }
+    const ride = await buildRide({
+      userId: user.id, activityType: selectedActivity, cells: cellArr,
+      startedAt: startRef.current, endedAt: Date.now(), duration: stats.duration, distance: stats.distance, rides,
+    })
 
-    try {
-      const { data, error } = await supabase.from('rides').insert(ride).select().single()
-      if (error) throw error
-      setRides(p => [data, ...p])
-      setLastRide({ ...data, h3Cells: cellArr })
-      const xp = Math.floor(stats.distance/100) + Math.floor(stats.duration/60) + cellArr.length * 2
-      addXp(xp, `${(stats.distance/1000).toFixed(1)}km`)
-      calcStreak(user.id)
-      triggerConfetti()
-      addToast('Saved! 🎉', 'success')
-      setCurrentPage('rideSummary')
-    } catch {
+    // Unsent rides are kept in the outbox and shown locally as pending
+    const { data, queued, error } = await send('ride', { ride, track, raw })
+    if (error) {
       addToast('Failed to save', 'error')
       setCurrentPage('home')
+      return
+    }
+    const saved = data || { ...ride, created_at: new Date().toISOString(), pending: true }
+    setRides(p => [saved, ...p])
+
+    // Rival tiles only change hands once this route is unlocked
+    const loop = captureLoops(track, selectedActivity)
+    const { matches, unlocked, claimCells, canSteal, ownership, defended, xp } = settleRide({ ride, rides, unlocks: routeUnlocks, threats, loop: loop.cells, city: profile?.city })
+    if (unlocked) {
+      const unlock = { userId: user.id, routeSignature: ride.route_signature, activityType: selectedActivity, rideIds: [ride.id, ...matches.map(r => r.id)], cells: cellArr, unlockedAt: ride.ended_at }
+      const { data: row } = await send('unlock', unlock)
+      setRouteUnlocks(p => [...p.filter(u => u.route_signature !== ride.route_signature), row || { user_id: user.id, route_signature: ride.route_signature, is_unlocked: true, pending: true }])
     }
-  }, [user, stats, cells, selectedActivity, addToast, setCurrentPage, setRides, setLastRide, triggerConfetti, addXp, calcStreak])
+    const claim = await send('claim', { cells: claimCells, userId: user.id, activityType: selectedActivity, claimedAt: ride.ended_at, canSteal, ownership })
+    const owned = claim.data ? mergeOwnedTiles(tiles, claim.data.rows) : tiles
+    if (claim.data) { setTiles(p => mergeOwnedTiles(p, claim.data.rows)); invalidateViewport() }
+
+    // Riding a threatened route before its deadline defends it
+    for (const t of defended) await send('threat', { id: t.id, status: 'defended', resolvedAt: ride.ended_at, rideId: ride.id })
+    const defendedIds = new Set(defended.map(t => t.id))
+    if (defended.length) setThreats(p => p.map(t => defendedIds.has(t.id) ? { ...t, status: 'defended', resolved_at: ride.ended_at, defended_ride_id: ride.id } : t))
+
+    // Achievements are granted online only; missed ones are earned again on a later ride
+    const earned = []
+    for (const a of newAchievements(playerStats({ rides: [saved, ...rides], tiles: owned }), achievements)) {
+      const { error: unlockError } = await unlockAchievement(user.id, a.id)
+      if (!unlockError) { earned.push(a); addToast(`${a.icon} ${a.name} unlocked!`, 'success') }
+    }
+    if (earned.length) setAchievements(p => [...p, ...earned.map(a => a.id)])
 
-  useEffect(() => () => {
-    if (watchRef.current) navigator.geolocation.clearWatch(watchRef.current)
-    if (timerRef.current) clearInterval(timerRef.current)
-  }, [])
+    setLastRide({ ...saved, h3Cells: cellArr, track, loop, claim: claim.data, ownership, defended: defended.length, achievements: earned })
+    clearSession()
+    addXp(xp + earned.reduce((s, a) => s + a.xp, 0), `${(stats.distance/1000).toFixed(1)}km${defended.length ? ' + route defended' : ''}${earned.length ? ' + achievements' : ''}`)
+    calcStreak(user.id)
+    triggerConfetti()
+    addToast(queued ? 'Saved offline - will sync when back online' : 'Saved! 🎉', queued ? 'warning' : 'success')
+    setCurrentPage('rideSummary')
+  }, [user, profile, rides, tiles, routeUnlocks, threats, achievements, stats, cells, selectedActivity, addToast, setCurrentPage, setRides, setTiles, setRouteUnlocks, setThreats, setAchievements, setLastRide, triggerConfetti, addXp, calcStreak])
+
+  useEffect(() => { if (autoSave) { setAutoSave(false); end(true) } }, [autoSave, end])
+
+  useEffect(() => stopListening, [])
+
+  const toggleAutoPause = () => {
+    localStorage.setItem('autoPause', String(!autoPause))
+    setAutoPause(!autoPause)
+  }
 
   const gpsColor = { waiting: 'bg-slate-500', good: 'bg-emerald-500', okay: 'bg-amber-500', poor: 'bg-red-500' }
   const hasBanner = trackChallenge || activeRoute
@@ -1852,6 +2236,17 @@ function RecordingPage() {
 
       {/* Controls */}
       <div className="bg-slate-800 p-6 border-t border-slate-700">
+        {state === 'idle' && (
+          <button onClick={toggleAutoPause} className="w-full mb-3 bg-slate-700/50 rounded-xl px-4 py-3 flex items-center justify-between">
+            <div className="text-left">
+              <div className="text-sm font-medium text-white">Auto-pause</div>
+              <div className="text-xs text-slate-400">Pause when you stop, resume when you move</div>
+            </div>
+            <div className={`w-11 h-6 rounded-full p-0.5 transition-all ${autoPause ? '' : 'bg-slate-600'}`} style={autoPause ? { backgroundColor: activity?.color } : {}}>
+              <div className={`w-5 h-5 bg-white rounded-full transition-all ${autoPause ? 'translate-x-5' : ''}`} />
+            </div>
+          </button>
+        )}
         {state === 'idle' && (
           <button onClick={start} className={`w-full bg-gradient-to-r ${trackChallenge ? 'from-amber-500 to-orange-500' : activeRoute ? activity?.gradient : activity?.gradient} text-white font-bold py-5 rounded-2xl flex items-center justify-center gap-3`}>
             <Play className="w-7 h-7" fill="currentColor" />
@@ -1868,6 +2263,21 @@ function RecordingPage() {
             </button>
           </div>
         )}
+        {state === 'autoPaused' && (
+          <div className="space-y-3">
+            <div className="bg-cyan-500/20 border border-cyan-500/50 rounded-xl p-3 text-center">
+              <span className="text-cyan-300 font-medium">⏸️ Auto-paused • resumes when you move</span>
+            </div>
+            <div className="flex gap-3">
+              <button onClick={pause} className="flex-1 bg-amber-600 text-white font-bold py-4 rounded-xl flex items-center justify-center gap-2">
+                <Pause className="w-6 h-6" />Pause
+              </button>
+              <button onClick={() => setShowEnd(true)} className="flex-1 bg-red-600 text-white font-bold py-4 rounded-xl flex items-center justify-center gap-2">
+                <StopCircle className="w-6 h-6" />End
+              </button>
+            </div>
+          </div>
+        )}
         {state === 'paused' && (
           <div className="space-y-3">
             <div className="bg-amber-500/20 border border-amber-500/50 rounded-xl p-3 text-center">
@@ -1924,14 +2334,13 @@ function RecordingPage() {
 function SummaryPage() {
   const { lastRide, rides, setCurrentPage, activity } = useApp()
   
-  const recentCount = useMemo(() => {
-    if (!lastRide) return 0
-    const wk = Date.now() - 7*86400000
-    return rides.filter(r => r.route_signature === lastRide.route_signature && new Date(r.started_at).getTime() >= wk).length
-  }, [rides, lastRide])
+  const progress = useMemo(() => lastRide ? routeProgress(lastRide, rides) : null, [rides, lastRide])
+  const matches = progress?.matches || []
+  const recentCount = progress?.count || 0
 
-  const unlocked = recentCount >= 3
-  const xp = lastRide ? Math.floor(lastRide.distance_m/100) + Math.floor(lastRide.duration_sec/60) + (lastRide.tiles_touched||0)*2 : 0
+  const unlocked = !!progress?.unlocked
+  const elapsed = lastRide ? (new Date(lastRide.ended_at) - new Date(lastRide.started_at)) / 1000 : 0
+  const xp = lastRide ? rideXp(lastRide, lastRide.defended) + (lastRide.achievements || []).reduce((s, a) => s + a.xp, 0) : 0
 
   if (!lastRide) return <div className="min-h-screen bg-slate-900 flex items-center justify-center"><button onClick={() => setCurrentPage('home')} className="text-cyan-400">Go Home</button></div>
 
@@ -1946,7 +2355,7 @@ function SummaryPage() {
         <div className="text-lg text-white/80">kilometers</div>
         <div className="mt-4 inline-flex items-center gap-2 bg-white/20 rounded-full px-4 py-2">
           <Star className="w-5 h-5 text-amber-300" />
-          <span className="font-bold">+{Math.floor(xp * (activity?.xpMultiplier || 1))} XP</span>
+          <span className="font-bold">+{xp} XP</span>
         </div>
       </div>
 
@@ -1954,7 +2363,7 @@ function SummaryPage() {
         <div className="bg-slate-800 rounded-2xl p-4 text-center border border-slate-700">
           <Clock className="w-5 h-5 mx-auto mb-1" style={{ color: activity?.color }} />
           <div className="text-xl font-bold text-white">{formatDuration(lastRide.duration_sec)}</div>
-          <div className="text-xs text-slate-500">Duration</div>
+          <div className="text-xs text-slate-500">Moving time</div>
         </div>
         <div className="bg-slate-800 rounded-2xl p-4 text-center border border-slate-700">
           <Zap className="w-5 h-5 text-amber-400 mx-auto mb-1" />
@@ -1968,6 +2377,57 @@ function SummaryPage() {
         </div>
       </div>
 
+      <div className="bg-slate-800 rounded-2xl p-4 border border-slate-700">
+        <div className="flex items-center gap-2 mb-2">
+          <Shield className="w-5 h-5" style={{ color: activity?.color }} />
+          <span className="font-semibold text-white">Territory</span>
+          {lastRide.ownership && <span className="ml-auto text-xs text-slate-400">{describeOwnership(lastRide.ownership).name} rules</span>}
+        </div>
+        {lastRide.claim ? (
+          <>
+            <p className="text-white">
+              <span className="font-bold text-emerald-400">{lastRide.claim.new}</span> new, <span className="font-bold text-red-400">{lastRide.claim.stolen}</span> stolen, <span className="font-bold text-cyan-400">{lastRide.claim.defended}</span> defended
+            </p>
+            {lastRide.ownership && <p className="text-xs text-slate-400 mt-1">{describeOwnership(lastRide.ownership).desc}</p>}
+            {lastRide.ownership && keptReasons(lastRide.claim.reasons, lastRide.ownership).map(reason => <p key={reason} className="text-xs text-slate-400 mt-1">{reason}</p>)}
+          </>
+        ) : (
+          <p className="text-sm text-slate-400">Tiles will be claimed when you're back online</p>
+        )}
+        {lastRide.loop?.rings.length > 0 && (
+          <div className="mt-3 space-y-2">
+            <p className="text-sm text-white">🔁 Loop closed - <span className="font-bold" style={{ color: activity?.color }}>{lastRide.loop.cells.length}</span> tiles inside captured</p>
+            <LoopPreview loop={lastRide.loop} activity={activity} />
+          </div>
+        )}
+        {lastRide.loop?.tooLarge > 0 && <p className="text-xs text-slate-400 mt-2">Loop too large to capture (max {activity?.maxLoopKm2} km² for {activity?.name.toLowerCase()})</p>}
+        {lastRide.defended > 0 && <p className="text-sm text-emerald-400 mt-2">🛡️ Defended {lastRide.defended === 1 ? 'a threatened route' : `${lastRide.defended} threatened routes`} (+{lastRide.defended * DEFEND_XP} XP)</p>}
+      </div>
+
+      {lastRide.achievements?.length > 0 && (
+        <div className="bg-slate-800 rounded-2xl p-4 border border-slate-700 space-y-2">
+          <h3 className="font-semibold text-white flex items-center gap-2"><Award className="w-5 h-5 text-amber-400" />Achievements Unlocked</h3>
+          {lastRide.achievements.map(a => (
+            <div key={a.id} className="flex items-center gap-3">
+              <span className="text-2xl">{a.icon}</span>
+              <div className="flex-1"><div className="text-white font-medium">{a.name}</div><div className="text-xs text-slate-400">{a.desc}</div></div>
+              <span className="text-sm text-amber-300">+{a.xp} XP</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="bg-slate-800 rounded-2xl p-4 border border-slate-700 flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Timer className="w-5 h-5 text-slate-400" />
+          <span className="text-sm text-slate-400">Elapsed time</span>
+        </div>
+        <div className="text-right">
+          <div className="font-bold text-white">{formatDuration(elapsed)}</div>
+          {elapsed - lastRide.duration_sec >= 1 && <div className="text-xs text-slate-500">{formatDuration(elapsed - lastRide.duration_sec)} paused</div>}
+        </div>
+      </div>
+
       <div className="bg-slate-800 rounded-2xl p-4 border border-slate-700">
         <div className="flex items-center justify-between mb-3">
           <span className="font-semibold text-white">Route Progress</span>
@@ -1989,10 +2449,18 @@ function SummaryPage() {
               {unlocked ? '🎉 Route Unlocked!' : 'Keep going!'}
             </p>
             <p className="text-sm text-slate-400">
-              {unlocked ? 'Tiles are yours!' : `${3-recentCount} more to unlock`}
+              {unlocked ? 'Rival tiles on this route are yours!' : `${3-recentCount} more to take rival tiles`}
             </p>
           </div>
         </div>
+        <div className="mt-3">
+          <RouteMatchList matches={matches} />
+        </div>
+      </div>
+
+      <div className="bg-slate-800 rounded-2xl p-4 border border-slate-700">
+        <div className="text-sm text-slate-400 mb-3">Export</div>
+        <ExportButtons ride={lastRide} />
       </div>
 
       <div className="space-y-3 pt-2">
@@ -2007,43 +2475,510 @@ function SummaryPage() {
   )
 }
 
+// ============== TILE DETAILS ==============
+// Tapping a hex on a map opens its details: who holds it and since when, how
+// often you and they have been through, its decay state and its recent
+// changes of hands, all read from the tile's event history
+const TILE_STATUS = {
+  healthy: { label: 'Healthy', color: '#10b981' },
+  contestable: { label: 'Contestable', color: '#f59e0b' },
+  expiring: { label: 'Expiring', color: '#ef4444' },
+  neutral: { label: 'Neutral', color: '#64748b' },
+}
+const TILE_CHANGES_SHOWN = 10
+
+// Shows `activityType`'s tile under a tap, picked at that activity's resolution.
+// Every sport holds its own territory, so the same cell can differ per sport;
+// with 'all' the sheet lets the rider switch between them.
+function TileSheet({ map, activityType }) {
+  const { user, profile, clan, selectedActivity } = useApp()
+  const [point, setPoint] = useState(null)
+  const [picked, setPicked] = useState(selectedActivity)
+  const sport = activityType === 'all' ? picked : activityType
+  const h3 = point && latLngToCell(point.lat, point.lng, activityRes(sport))
+  const [detail, setDetail] = useState(null)
+
+  useEffect(() => {
+    if (!map) return
+    const onClick = (e) => setPoint({ lat: e.lngLat.lat, lng: e.lngLat.lng })
+    map.on('click', onClick)
+    return () => map.off('click', onClick)
+  }, [map])
+
+  useEffect(() => {
+    if (!map) return
+    const features = h3 ? [{ type: 'Feature', geometry: { type: 'Polygon', coordinates: [cellToBoundary(h3, true)] } }] : []
+    setSource(map, 'selected-tile', { type: 'FeatureCollection', features }, [{ id: 'selected-tile-line', type: 'line', paint: { 'line-color': '#ffffff', 'line-width': 3 } }])
+  }, [map, h3])
+
+  useEffect(() => {
+    if (!h3) return
+    let cancelled = false
+    setDetail(null)
+    Promise.all([getTiles([h3], sport), getTileHistory(h3, sport)]).then(async ([rows, history]) => {
+      if (rows.error || history.error) { if (!cancelled) setDetail({ error: true }); return }
+      const tile = rows.data[0] || null
+      const ids = [...new Set([tile?.current_owner_user_id, ...history.data.flatMap(e => [e.user_id, e.previous_owner_user_id])].filter(Boolean))]
+      const people = await loadOwners(ids)
+      if (!cancelled) setDetail({ tile, events: history.data, people })
+    })
+    return () => { cancelled = true }
+  }, [h3, sport])
+
+  if (!h3) return null
+
+  const tile = detail?.tile
+  const status = tile ? tileStatus(tile) : 'neutral'
+  const holder = status !== 'neutral' ? tile.current_owner_user_id : null
+  const { owner, clan: holderClan } = (holder && detail.people.get(holder)) || {}
+  const name = (id) => id === user?.id ? 'You' : detail.people.get(id)?.owner?.first_name || 'A rider'
+  const visits = (id) => detail.events.filter(e => e.user_id === id).length
+  const changes = detail?.events?.filter(e => e.kind === 'new' || e.kind === 'stolen').slice(0, TILE_CHANGES_SHOWN) || []
+  const why = tile && tileExplanation(tile, { userId: user?.id, ownership: ownershipFor({ city: profile?.city }), sameClan: !!clan && holderClan?.id === clan.id })
+
+  return (
+    <div className="absolute bottom-0 left-0 right-0 z-20 bg-slate-800 rounded-t-2xl border-t border-slate-700 p-4 max-h-[60%] overflow-y-auto">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold text-white">{ACTIVITIES[sport].emoji} {ACTIVITIES[sport].name} tile</h3>
+        <button onClick={() => setPoint(null)} className="p-1 bg-slate-700 rounded-lg"><X className="w-4 h-4 text-white" /></button>
+      </div>
+      {activityType === 'all' && (
+        <div className="flex gap-1 mb-3">
+          {Object.values(ACTIVITIES).map(a => (
+            <button key={a.id} onClick={() => setPicked(a.id)} className={`flex-1 py-1 rounded-lg text-xs ${a.id === sport ? 'bg-slate-600 text-white' : 'bg-slate-900 text-slate-400'}`}>{a.emoji} {a.name}</button>
+          ))}
+        </div>
+      )}
+      {!detail ? <Loader2 className="w-6 h-6 animate-spin mx-auto text-slate-500" /> :
+      detail.error ? <p className="text-sm text-slate-400">Could not load this tile</p> : (
+        <div className="space-y-3">
+          <div className="flex items-center gap-3">
+            {holder ? <AvatarDisplay avatar={{ background: owner?.avatar_background, icon: owner?.avatar_icon }} size="sm" /> : <div className="w-10 h-10 rounded-full bg-slate-700 flex items-center justify-center"><MapPin className="w-5 h-5 text-slate-400" /></div>}
+            <div className="flex-1 min-w-0">
+              <div className="font-medium text-white">{holder ? name(holder) : 'Nobody holds this tile'}</div>
+              <div className="text-xs text-slate-400">
+                {holderClan && `${holderClan.icon || ''} ${holderClan.name} • `.trimStart()}
+                {holder && tile.claimed_at && `Claimed ${new Date(tile.claimed_at).toLocaleDateString()}`}
+              </div>
+            </div>
+            <span className="text-xs px-2 py-0.5 rounded" style={{ backgroundColor: `${TILE_STATUS[status].color}30`, color: TILE_STATUS[status].color }}>{TILE_STATUS[status].label}</span>
+          </div>
+          {tile && status !== 'neutral' && (
+            <div className="h-1.5 bg-slate-700 rounded-full overflow-hidden">
+              <div className="h-full" style={{ width: `${Math.min(100, tileHealth(tile) / MAX_STRENGTH * 100)}%`, backgroundColor: TILE_STATUS[status].color }} />
+            </div>
+          )}
+          <div className="grid grid-cols-2 gap-2 text-center">
+            <div className="bg-slate-900 rounded-lg p-2"><div className="text-lg font-bold text-white">{visits(user?.id)}</div><div className="text-xs text-slate-400">Your visits</div></div>
+            <div className="bg-slate-900 rounded-lg p-2"><div className="text-lg font-bold text-white">{holder && holder !== user?.id ? visits(holder) : '-'}</div><div className="text-xs text-slate-400">{holder && holder !== user?.id ? `${name(holder)}'s visits` : 'Holder visits'}</div></div>
+          </div>
+          {why && <p className="text-xs text-slate-300">{why}</p>}
+          <div>
+            <div className="text-sm font-medium text-white mb-1">Recent changes</div>
+            {changes.length === 0 && <p className="text-xs text-slate-500">Nobody has claimed this tile yet</p>}
+            {changes.map(e => (
+              <div key={`${e.user_id}:${e.at}`} className="flex items-center justify-between text-xs py-1 border-b border-slate-700 last:border-0">
+                <span className="text-slate-300">{e.kind === 'stolen' && e.previous_owner_user_id ? `${name(e.user_id)} took it from ${name(e.previous_owner_user_id)}` : `${name(e.user_id)} claimed it`}</span>
+                <span className="text-slate-500">{new Date(e.at).toLocaleDateString()}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+const DAY_MS = 86400000
+const TIMELINE_WEEKS = 12
+
+// Gained (up) and lost (down) tiles per week
+function WeeklyChangeChart({ weeks, color }) {
+  const max = Math.max(1, ...weeks.flatMap(w => [w.gained, w.lost]))
+  return (
+    <div>
+      <svg viewBox={`0 0 ${weeks.length * 10} 40`} className="w-full h-16" preserveAspectRatio="none">
+        <line x1="0" x2={weeks.length * 10} y1="20" y2="20" stroke="#334155" strokeWidth="0.5" />
+        {weeks.map((w, i) => (
+          <g key={w.start}>
+            <rect x={i * 10 + 2} y={20 - 19 * w.gained / max} width="6" height={19 * w.gained / max} fill={color} />
+            <rect x={i * 10 + 2} y="20" width="6" height={19 * w.lost / max} fill="#ef4444" />
+          </g>
+        ))}
+      </svg>
+      <div className="flex justify-between text-[10px] text-slate-500">
+        <span>{new Date(weeks[0].start).toLocaleDateString(undefined, { day: 'numeric', month: 'short' })}</span>
+        <span>this week</span>
+      </div>
+    </div>
+  )
+}
+
+// Replays claim history to show the territory held on any day, for the rider or their clan
+function TerritoryTimeline({ map, active }) {
+  const { user, rides, clan, selectedActivity, activity } = useApp()
+  const [scope, setScope] = useState('me')
+  const [events, setEvents] = useState(null)
+  const [day, setDay] = useState(null)
+  const [playing, setPlaying] = useState(false)
+  const ownerIds = scope === 'clan' && clan ? clan.clan_members.map(m => m.user_id).sort().join(',') : user.id
+  const owners = useMemo(() => new Set(ownerIds.split(',')), [ownerIds])
+
+  useEffect(() => {
+    if (!active) return
+    let cancelled = false
+    setEvents(null)
+    getTileEvents([...owners], selectedActivity).then(({ data }) => {
+      if (cancelled) return
+      // Rides from before claim events were recorded stand in as claims of their cells
+      const first = data?.length ? Date.parse(data[0].at) : Infinity
+      const legacy = scope === 'me' ? rides
+        .filter(r => r.activity_type === selectedActivity && r.h3_cells?.length && Date.parse(r.ended_at) < first)
+        .flatMap(r => r.h3_cells.map(h3 => ({ h3_index: h3, user_id: user.id, at: r.ended_at }))) : []
+      setEvents([...legacy, ...(data || [])])
+      setDay(null)
+    })
+    return () => { cancelled = true }
+  }, [active, owners, scope, selectedActivity, rides, user])
+
+  const start = useMemo(() => {
+    if (!events?.length) return null
+    const first = events.reduce((m, e) => Math.min(m, Date.parse(e.at)), Infinity)
+    return new Date(first).setHours(0, 0, 0, 0)
+  }, [events])
+  const days = start == null ? 0 : Math.floor((Date.now() - start) / DAY_MS) + 1
+  const shownDay = day ?? days - 1
+
+  // Playback steps a day at a time and stops on today
+  useEffect(() => {
+    if (!playing) return
+    if (shownDay >= days - 1) { setPlaying(false); return }
+    const t = setTimeout(() => setDay(shownDay + 1), 150)
+    return () => clearTimeout(t)
+  }, [playing, shownDay, days])
+
+  const cells = useMemo(() => {
+    if (!events?.length) return []
+    return Array.from(cellsAtResolution(ownedAtTimes(events, owners, [start + (shownDay + 1) * DAY_MS - 1])[0], activityRes(selectedActivity)))
+  }, [events, owners, start, shownDay, selectedActivity])
+
+  const weeks = useMemo(() => {
+    if (!events) return []
+    const weekStart = new Date(); weekStart.setHours(0, 0, 0, 0); weekStart.setDate(weekStart.getDate() - ((weekStart.getDay() + 6) % 7))
+    const bounds = Array.from({ length: TIMELINE_WEEKS + 1 }, (_, i) => weekStart.getTime() - (TIMELINE_WEEKS - 1 - i) * 7 * DAY_MS)
+    const snapshots = ownedAtTimes(events, owners, bounds.map(b => Math.min(b, Date.now())))
+    return bounds.slice(1).map((b, i) => {
+      const before = snapshots[i], after = snapshots[i + 1]
+      let gained = 0, lost = 0
+      after.forEach(c => { if (!before.has(c)) gained++ })
+      before.forEach(c => { if (!after.has(c)) lost++ })
+      return { start: bounds[i], gained, lost }
+    })
+  }, [events, owners])
+
+  return (
+    <>
+      <TerritoryLayer map={map} id="timeline" cells={cells} res={activityRes(selectedActivity)} color={activity?.color} visible={active} />
+      {active && (
+        <div className="bg-slate-800 border-t border-slate-700 p-3 space-y-3">
+          <div className="flex items-center justify-between">
+            <span className="text-sm font-semibold text-white">
+              {start == null ? 'Timeline' : new Date(start + shownDay * DAY_MS).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })}
+              <span className="text-slate-400 font-normal"> • {cells.length} tiles</span>
+            </span>
+            {clan && (
+              <div className="flex gap-1">
+                {['me', 'clan'].map(c => (
+                  <button key={c} onClick={() => setScope(c)} className={`text-xs px-2 py-1 rounded ${scope === c ? 'bg-slate-600 text-white' : 'text-slate-400'}`}>{c === 'me' ? 'Me' : 'Clan'}</button>
+                ))}
+              </div>
+            )}
+          </div>
+          {!events ? (
+            <div className="flex justify-center py-2"><Loader2 className="w-5 h-5 text-slate-500 animate-spin" /></div>
+          ) : !events.length ? (
+            <p className="text-xs text-slate-500">No territory history yet</p>
+          ) : (
+            <>
+              <div className="flex items-center gap-3">
+                <button onClick={() => { if (shownDay >= days - 1) setDay(0); setPlaying(p => !p) }} className="p-2 rounded-full" style={{ backgroundColor: activity?.color }}>
+                  {playing ? <Pause className="w-4 h-4 text-white" /> : <Play className="w-4 h-4 text-white" />}
+                </button>
+                <input type="range" min="0" max={days - 1} value={shownDay} onChange={e => { setPlaying(false); setDay(Number(e.target.value)) }} className="flex-1" style={{ accentColor: activity?.color }} />
+              </div>
+              <WeeklyChangeChart weeks={weeks} color={activity?.color} />
+            </>
+          )}
+        </div>
+      )}
+    </>
+  )
+}
+
+// Heatmap of every recorded point and a fog over cells never visited, drawn
+// beneath the territory layers. Tracks are only loaded once a layer is enabled.
+function ExplorationLayers({ map, heatmap, fog }) {
+  const { user, rides } = useApp()
+  const [data, setData] = useState(null)
+  const [explored, setExplored] = useState(null)
+
+  useEffect(() => {
+    if (!(heatmap || fog) || data) return
+    loadExploration(user.id, { resolution: CONFIG.H3_RESOLUTION, maxGapFill: CONFIG.MAX_GAP_FILL_METERS }).then(setData)
+  }, [heatmap, fog, data, user])
+
+  // Rides recorded since the tracks were loaded count as visited straight away
+  const visited = useMemo(() => {
+    if (!data) return null
+    const all = new Set(data.visited)
+    rides.forEach(r => r.h3_cells?.length && cellsAtResolution(r.h3_cells, CONFIG.H3_RESOLUTION).forEach(c => all.add(c)))
+    return all
+  }, [data, rides])
+
+  useEffect(() => {
+    if (!map || !data) return
+    const points = { type: 'FeatureCollection', features: data.points.map(coordinates => ({ type: 'Feature', geometry: { type: 'Point', coordinates } })) }
+    setSource(map, 'heat', points, [{ id: 'heat-layer', type: 'heatmap', paint: {
+      'heatmap-radius': ['interpolate', ['linear'], ['zoom'], 8, 4, 15, 18],
+      'heatmap-intensity': ['interpolate', ['linear'], ['zoom'], 8, 0.5, 15, 1.5],
+      'heatmap-opacity': 0.8,
+    } }], 'territory-fill')
+  }, [map, data])
+
+  useEffect(() => {
+    if (map?.getLayer('heat-layer')) map.setLayoutProperty('heat-layer', 'visibility', heatmap ? 'visible' : 'none')
+  }, [map, data, heatmap])
+
+  // The fog is rebuilt for the visible area at the zoom's level of detail
+  useEffect(() => {
+    if (!map || !visited) return
+    const update = () => {
+      const b = map.getBounds()
+      const result = fog ? fogCells([b.getWest(), b.getSouth(), b.getEast(), b.getNorth()], visited, lodResolution(map.getZoom(), CONFIG.H3_RESOLUTION), CONFIG.H3_RESOLUTION) : null
+      const features = (result?.cells || []).map(c => ({ type: 'Feature', geometry: { type: 'Polygon', coordinates: [cellToBoundary(c, true)] } }))
+      setSource(map, 'fog', { type: 'FeatureCollection', features }, [{ id: 'fog-fill', type: 'fill', paint: { 'fill-color': '#020617', 'fill-opacity': 0.6 } }], 'territory-fill')
+      setExplored(result?.total ? 1 - result.cells.length / result.total : null)
+    }
+    update()
+    map.on('moveend', update)
+    return () => { map.off('moveend', update) }
+  }, [map, visited, fog])
+
+  if (!(heatmap || fog)) return null
+  if (!data) return <div className="absolute bottom-2 left-2 bg-slate-800/90 text-xs text-slate-300 px-3 py-1.5 rounded-full flex items-center gap-2"><Loader2 className="w-3 h-3 animate-spin" />Loading your tracks...</div>
+  if (fog && explored != null) return <div className="absolute bottom-2 left-2 bg-slate-800/90 text-xs text-slate-300 px-3 py-1.5 rounded-full">{Math.round(explored * 100)}% of this view explored</div>
+  return null
+}
+
 function TerritoryPage() {
-  const { tiles, selectedActivity, activity } = useApp()
+  const { user, profile, tiles, lastRide, selectedActivity, activity, allSports, setAllSports } = useApp()
   const containerRef = useRef(null), mapRef = useRef(null)
-  const actTiles = tiles.filter(t => t.activity_type === selectedActivity)
+  const [mapReady, setMapReady] = useState(false)
+  // 'mine' shows your regions, 'everyone' every owner's tiles in view
+  const [mode, setMode] = useState('mine')
+  const [colorBy, setColorBy] = useState('rider')
+  const [world, setWorld] = useState({ tiles: [], tooWide: false })
+  const [worldLoading, setWorldLoading] = useState(false)
+  const [overlays, setOverlays] = useState({ heatmap: false, fog: false })
+  const [showLayers, setShowLayers] = useState(false)
+  const [showRules, setShowRules] = useState(false)
+  const ownership = useMemo(() => ownershipFor({ city: profile?.city }), [profile])
+  const rules = describeOwnership(ownership)
+  // 'All sports' merges every activity's tiles on your own map
+  const merged = allSports && mode === 'mine'
+  const sport = merged ? 'all' : selectedActivity
+  const sportRes = merged ? CONFIG.H3_RESOLUTION : activityRes(selectedActivity)
+  const color = merged ? ALL_SPORTS.color : activity?.color
+  const actTiles = useMemo(() => merged ? tiles : tiles.filter(t => t.activity_type === selectedActivity), [tiles, selectedActivity, merged])
+  const cells = useMemo(() => activityCells(tiles, sport), [tiles, sport])
+  // The per-sport breakdown, in the same merged cells as `cells`
+  const counts = useMemo(() => territoryCounts(tiles, CONFIG.H3_RESOLUTION), [tiles])
+  const regions = useMemo(() => cellRegions(cells), [cells])
+  const expiringTiles = useMemo(() => actTiles.filter(t => tileStatus(t) === 'expiring'), [actTiles])
+  const [selectedRegion, setSelectedRegion] = useState(null)
+  // The area captured by the latest ride's loop, if it was this activity
+  const loop = (merged || lastRide?.activity_type === selectedActivity) && lastRide?.loop?.rings.length ? lastRide.loop : null
+
+  // Created once; everything drawn on it updates its source in place
+  useEffect(() => {
+    let cancelled = false
+    const create = (center, zoom) => {
+      if (cancelled || !containerRef.current) return
+      const map = new mapboxgl.Map({ container: containerRef.current, style: activity?.mapStyle || 'mapbox://styles/mapbox/dark-v11', center, zoom, attributionControl: false })
+      map.on('load', () => setMapReady(true))
+      mapRef.current = map
+    }
+    getCurrentPosition().then(pos => create([pos.lng, pos.lat], 13), () => create([0, 0], 2))
+    return () => { cancelled = true; if (mapRef.current) { mapRef.current.remove(); mapRef.current = null }; setMapReady(false) }
+  }, [])
 
+  const map = mapReady ? mapRef.current : null
+
+  // Region outlines rather than a stroke around every hex, plus expiring tiles and the last loop
   useEffect(() => {
-    if (!containerRef.current || mapRef.current) return
-    navigator.geolocation.getCurrentPosition(
-      pos => {
-        mapRef.current = new mapboxgl.Map({
-          container: containerRef.current,
-          style: activity?.mapStyle || 'mapbox://styles/mapbox/dark-v11',
-          center: [pos.coords.longitude, pos.coords.latitude],
-          zoom: 13, attributionControl: false
-        })
-        mapRef.current.on('load', () => {
-          if (actTiles.length > 0) {
-            const features = actTiles.map(t => ({ type: 'Feature', geometry: { type: 'Polygon', coordinates: [cellToBoundary(t.h3_index, true)] } }))
-            mapRef.current.addSource('tiles', { type: 'geojson', data: { type: 'FeatureCollection', features } })
-            mapRef.current.addLayer({ id: 'tiles-fill', type: 'fill', source: 'tiles', paint: { 'fill-color': activity?.color, 'fill-opacity': 0.4 } })
-            mapRef.current.addLayer({ id: 'tiles-line', type: 'line', source: 'tiles', paint: { 'line-color': activity?.color, 'line-width': 2 } })
-          }
-        })
-      },
-      () => { mapRef.current = new mapboxgl.Map({ container: containerRef.current, style: 'mapbox://styles/mapbox/dark-v11', center: [0, 0], zoom: 2, attributionControl: false }) }
-    )
-    return () => { if (mapRef.current) mapRef.current.remove() }
-  }, [actTiles, activity])
+    if (!map) return
+    const outlines = { type: 'FeatureCollection', features: regions.map(r => ({ type: 'Feature', properties: { id: r.id }, geometry: { type: 'MultiPolygon', coordinates: r.coordinates } })) }
+    setSource(map, 'regions', outlines, [{ id: 'regions-line', type: 'line', paint: { 'line-color': color, 'line-width': 2 } }])
+    map.setPaintProperty('regions-line', 'line-color', color)
+    const expiring = { type: 'FeatureCollection', features: expiringTiles.map(t => ({ type: 'Feature', geometry: { type: 'Polygon', coordinates: [cellToBoundary(t.h3_index, true)] } })) }
+    setSource(map, 'expiring', expiring, [{ id: 'expiring-line', type: 'line', paint: { 'line-color': '#f59e0b', 'line-width': 2 } }])
+    addLoopLayers(map, loop, color)
+  }, [map, regions, expiringTiles, loop, color])
+
+  // Reload every owner's tiles once panning settles; parents already loaded come from the cache
+  useEffect(() => {
+    if (!map || mode !== 'everyone') return
+    let timer = null, cancelled = false
+    const load = async () => {
+      const b = map.getBounds()
+      setWorldLoading(true)
+      const { tiles, tooWide, error } = await loadViewportTiles([b.getWest(), b.getSouth(), b.getEast(), b.getNorth()], selectedActivity)
+      if (cancelled) return
+      if (!error) setWorld({ tiles, tooWide })
+      setWorldLoading(false)
+    }
+    const onMove = () => { clearTimeout(timer); timer = setTimeout(load, 400) }
+    load()
+    map.on('moveend', onMove)
+    return () => { cancelled = true; clearTimeout(timer); map.off('moveend', onMove) }
+  }, [map, mode, selectedActivity])
+
+  const ownerKey = useCallback((t) => colorBy === 'clan' ? t.clan?.id || null : t.current_owner_user_id, [colorBy])
+  const ownerLabel = useCallback((t) => {
+    if (colorBy === 'clan') return t.clan ? `${t.clan.icon || ''} ${t.clan.name}`.trim() : 'No clan'
+    return t.current_owner_user_id === user?.id ? 'You' : t.owner?.first_name || 'Rider'
+  }, [colorBy, user])
+  const colorFor = useCallback((t) => {
+    if (t.current_owner_user_id === user?.id && colorBy === 'rider') return activity?.color
+    const key = ownerKey(t)
+    return key ? ownerColor(key) : '#64748b'
+  }, [colorBy, user, activity, ownerKey])
+
+  // Biggest owners in view first
+  const legend = useMemo(() => {
+    const entries = new Map()
+    world.tiles.forEach(t => {
+      const key = ownerKey(t) || 'none'
+      const e = entries.get(key) || { key, label: ownerLabel(t), color: colorFor(t), count: 0 }
+      e.count++
+      entries.set(key, e)
+    })
+    return [...entries.values()].sort((a, b) => b.count - a.count)
+  }, [world, ownerKey, ownerLabel, colorFor])
+
+  useEffect(() => {
+    if (!map) return
+    const features = mode === 'everyone' ? world.tiles.map(t => ({
+      type: 'Feature',
+      properties: { color: colorFor(t) },
+      geometry: { type: 'Polygon', coordinates: [cellToBoundary(t.h3_index, true)] },
+    })) : []
+    setSource(map, 'world', { type: 'FeatureCollection', features }, [{ id: 'world-fill', type: 'fill', paint: { 'fill-color': ['get', 'color'], 'fill-opacity': 0.45 } }])
+    ;['regions-line', 'expiring-line', 'loop-cells-fill', 'loop-rings-line'].forEach(id => {
+      if (map.getLayer(id)) map.setLayoutProperty(id, 'visibility', mode === 'mine' ? 'visible' : 'none')
+    })
+  }, [map, mode, world, colorFor])
+
+  const flyTo = (region) => {
+    setSelectedRegion(region.id)
+    mapRef.current?.fitBounds(region.bounds, { padding: 60, maxZoom: 15 })
+  }
 
   return (
-    <div className="h-screen flex flex-col bg-slate-900">
+    <div className="h-screen flex flex-col bg-slate-900 pb-20">
       <div className="bg-slate-800 p-4 border-b border-slate-700">
-        <h1 className="text-xl font-bold text-white">{activity?.name} Territory</h1>
-        <p className="text-sm text-slate-400">{actTiles.length} tiles owned</p>
+        <div className="flex items-center justify-between">
+          <h1 className="text-xl font-bold text-white">{merged ? ALL_SPORTS.name : activity?.name} Territory</h1>
+          {mode === 'mine' && (
+            <button onClick={() => setAllSports(v => !v)} className="text-xs px-2 py-1 rounded-lg border" style={allSports ? { backgroundColor: `${ALL_SPORTS.color}30`, borderColor: ALL_SPORTS.color, color: ALL_SPORTS.color } : { borderColor: '#334155', color: '#94a3b8' }}>
+              {ALL_SPORTS.emoji} {ALL_SPORTS.name}
+            </button>
+          )}
+        </div>
+        <p className="text-sm text-slate-400">{cells.length} tiles owned{expiringTiles.length > 0 && <span className="text-amber-400"> • {expiringTiles.length} expiring soon</span>}</p>
+        {merged && (
+          <p className="text-xs text-slate-400 mt-1">
+            {Object.values(ACTIVITIES).map(a => `${a.emoji} ${counts.bySport[a.id] || 0}`).join(' • ')}
+          </p>
+        )}
+        {regions.length > 0 && (
+          <p className="text-xs text-slate-400 mt-1">
+            {regions.length} {regions.length === 1 ? 'region' : 'regions'} • Largest empire <span className="font-bold" style={{ color }}>{regions[0].area.toFixed(2)} km²</span>
+          </p>
+        )}
+        <button onClick={() => setShowRules(v => !v)} className="text-xs text-slate-400 mt-1 flex items-center gap-1">
+          <HelpCircle className="w-3 h-3" />Ownership: <span className="font-semibold text-white">{rules.name}</span>{ownership.season && ` • ${ownership.season}`}
+        </button>
+        {showRules && <p className="text-xs text-slate-400 mt-1">{rules.desc} Tap a tile to see why it is or isn't yours.</p>}
+        {loop && <p className="text-xs text-slate-400 mt-1">Dashed outline: {loop.cells.length} tiles captured by closing a loop on your last {activity?.name.toLowerCase()}</p>}
+        <div className="flex gap-2 mt-3">
+          {[{ id: 'mine', label: 'My territory' }, { id: 'everyone', label: 'Everyone' }, { id: 'history', label: 'Timeline' }].map(m => (
+            <button key={m.id} onClick={() => setMode(m.id)} className="flex-1 py-1.5 rounded-lg text-sm border" style={mode === m.id ? { backgroundColor: `${activity?.color}30`, borderColor: activity?.color, color: activity?.color } : { borderColor: '#334155', color: '#94a3b8' }}>
+              {m.label}
+            </button>
+          ))}
+        </div>
       </div>
-      <div ref={containerRef} className="flex-1" />
-      {actTiles.length === 0 && (
+      <div className="flex-1 relative">
+        <div ref={containerRef} className="absolute inset-0" />
+        <TerritoryLayer map={map} cells={cells} res={sportRes} color={color} visible={mode === 'mine'} />
+        <ExplorationLayers map={map} heatmap={overlays.heatmap} fog={overlays.fog} />
+        <TileSheet map={map} activityType={sport} />
+        <div className="absolute top-2 right-2 flex flex-col items-end gap-2">
+          <button onClick={() => setShowLayers(v => !v)} className="p-2 bg-slate-800/90 rounded-lg">
+            <Layers className="w-5 h-5 text-white" />
+          </button>
+          {showLayers && (
+            <div className="bg-slate-800/95 rounded-xl p-2 space-y-1 text-sm">
+              {[{ id: 'heatmap', label: 'Heatmap' }, { id: 'fog', label: 'Fog of war' }].map(o => (
+                <label key={o.id} className="flex items-center gap-2 px-2 py-1 text-white cursor-pointer">
+                  <input type="checkbox" checked={overlays[o.id]} onChange={e => setOverlays(p => ({ ...p, [o.id]: e.target.checked }))} style={{ accentColor: activity?.color }} />
+                  {o.label}
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+        {mode === 'everyone' && (worldLoading || world.tooWide) && (
+          <div className="absolute top-2 left-1/2 -translate-x-1/2 bg-slate-800/90 text-xs text-slate-300 px-3 py-1.5 rounded-full flex items-center gap-2">
+            {worldLoading ? <><Loader2 className="w-3 h-3 animate-spin" />Loading tiles...</> : 'Zoom in to see who owns what'}
+          </div>
+        )}
+      </div>
+      {mode === 'everyone' && (
+        <div className="bg-slate-800 border-t border-slate-700 max-h-48 overflow-y-auto p-3 space-y-2">
+          <div className="flex items-center justify-between">
+            <span className="text-sm font-semibold text-white">Owners in view</span>
+            <div className="flex gap-1">
+              {['rider', 'clan'].map(c => (
+                <button key={c} onClick={() => setColorBy(c)} className={`text-xs px-2 py-1 rounded ${colorBy === c ? 'bg-slate-600 text-white' : 'text-slate-400'}`}>By {c}</button>
+              ))}
+            </div>
+          </div>
+          {legend.length === 0 && !worldLoading && <p className="text-xs text-slate-500">No claimed tiles here yet</p>}
+          {legend.map(e => (
+            <div key={e.key} className="flex items-center gap-2 text-sm">
+              <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: e.color }} />
+              <span className="flex-1 text-white truncate">{e.label}</span>
+              <span className="text-slate-400">{e.count} tiles</span>
+            </div>
+          ))}
+        </div>
+      )}
+      <TerritoryTimeline map={map} active={mode === 'history'} />
+      {mode === 'mine' && regions.length > 0 && (
+        <div className="bg-slate-800 border-t border-slate-700 max-h-48 overflow-y-auto p-2 space-y-1">
+          {regions.map((r, i) => (
+            <button key={r.id} onClick={() => flyTo(r)} className={`w-full flex items-center gap-3 rounded-lg px-3 py-2 text-left ${selectedRegion === r.id ? 'bg-slate-700' : ''}`}>
+              <span className="w-6 text-sm font-bold text-slate-500">{i + 1}</span>
+              <div className="flex-1 text-sm text-white">{r.area.toFixed(2)} km²</div>
+              <div className="text-xs text-slate-400">{r.cells.length} tiles • {(r.perimeter / 1000).toFixed(1)} km edge</div>
+              <ChevronRight className="w-4 h-4 text-slate-500" />
+            </button>
+          ))}
+        </div>
+      )}
+      {mode === 'mine' && actTiles.length === 0 && (
         <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
           <div className="bg-slate-800/90 rounded-2xl p-6 m-4 text-center max-w-sm">
             <MapPin className="w-12 h-12 mx-auto mb-3" style={{ color: activity?.color }} />
@@ -2064,15 +2999,20 @@ function LeaderboardPage() {
   const [actFilter, setActFilter] = useState(selectedActivity)
   const [scope, setScope] = useState('global')
   const [location, setLocation] = useState({ city: profile?.city, country: profile?.country })
+  const [explored, setExplored] = useState({})
 
   useEffect(() => {
     if (!location.city && !profile?.city) {
-      navigator.geolocation.getCurrentPosition(async pos => {
+      getCurrentPosition().then(async pos => {
         try {
-          const res = await fetch(`https://api.mapbox.com/geocoding/v5/mapbox.places/${pos.coords.longitude},${pos.coords.latitude}.json?types=place,country&access_token=${mapboxgl.accessToken}`)
-          const data = await res.json()
-          const city = data.features?.find(f => f.place_type.includes('place'))?.text
-          const country = data.features?.find(f => f.place_type.includes('country'))?.text
+          // A boundary we hold names the city exactly as exploration looks it up
+          let { city, country } = await cityForPoint(pos.lat, pos.lng).catch(() => null) || {}
+          if (!city) {
+            const res = await fetch(`https://api.mapbox.com/geocoding/v5/mapbox.places/${pos.lng},${pos.lat}.json?types=place,country&access_token=${mapboxgl.accessToken}`)
+            const data = await res.json()
+            city = data.features?.find(f => f.place_type.includes('place'))?.text
+            country = data.features?.find(f => f.place_type.includes('country'))?.text
+          }
           setLocation({ city, country })
           if (user) await supabase.from('profiles').update({ city, country }).eq('id', user.id)
         } catch {}
@@ -2088,6 +3028,12 @@ function LeaderboardPage() {
       else if (scope === 'country' && location.country) query = query.eq('country', location.country)
       const { data } = await query.limit(50)
       setLeaders(data || [])
+      // City leaderboards also show how much of the city each rider has explored
+      setExplored({})
+      if (scope === 'city' && location.city && data?.length) {
+        const { data: rows } = await getCityExploration(location.city, data.map(e => e.user_id))
+        setExplored(Object.fromEntries((rows || []).map(r => [r.user_id, r])))
+      }
       setLoading(false)
     }
     load()
@@ -2120,7 +3066,7 @@ function LeaderboardPage() {
             <div className={`w-10 h-10 rounded-full flex items-center justify-center font-bold ${i === 0 ? 'bg-amber-500' : i === 1 ? 'bg-slate-400' : i === 2 ? 'bg-orange-700' : 'bg-slate-700 text-slate-400'} text-white`}>{i === 0 ? '👑' : i + 1}</div>
             <div className="flex-1">
               <div className="font-semibold text-white">{e.first_name ? `${e.first_name} ${e.last_name}` : 'Anonymous'}{e.user_id === user?.id && <span className="ml-2 text-xs text-cyan-400">(You)</span>}</div>
-              <div className="text-sm text-slate-500">{e.tiles_owned || 0} tiles</div>
+              <div className="text-sm text-slate-500">{e.tiles_owned || 0} tiles{explored[e.user_id] && ` • ${Number(explored[e.user_id].visited_pct).toFixed(1)}% of ${location.city} explored`}</div>
             </div>
             {i < 3 && <div className="text-2xl">{['🥇', '🥈', '🥉'][i]}</div>}
           </div>
@@ -2130,11 +3076,273 @@ function LeaderboardPage() {
   )
 }
 
+// ============== RIDE HISTORY ==============
+const HISTORY_PAGE_SIZE = 20
+
+function HistoryPage() {
+  const { rides, threats, setCurrentPage, setViewRide, activity } = useApp()
+  const [filter, setFilter] = useState('all')
+  const [page, setPage] = useState(0)
+
+  const filtered = useMemo(() => filter === 'all' ? rides : rides.filter(r => r.activity_type === filter), [rides, filter])
+  const pages = Math.max(1, Math.ceil(filtered.length / HISTORY_PAGE_SIZE))
+  const visible = filtered.slice(page * HISTORY_PAGE_SIZE, (page + 1) * HISTORY_PAGE_SIZE)
+
+  const changeFilter = (f) => { setFilter(f); setPage(0) }
+  const open = (ride) => { setViewRide(ride); setCurrentPage('rideDetail') }
+  const defendedBy = useMemo(() => new Set(threats.filter(t => t.status === 'defended').map(t => t.defended_ride_id)), [threats])
+  const resolved = { defended: threats.filter(t => t.status === 'defended').length, expired: threats.filter(t => t.status === 'expired').length }
+
+  return (
+    <div className="min-h-screen bg-slate-900 pb-24">
+      <div className="bg-slate-800 p-4 border-b border-slate-700 flex items-center gap-4">
+        <button onClick={() => setCurrentPage('profile')} className="p-2 bg-slate-700 rounded-lg">
+          <ChevronLeft className="w-5 h-5 text-white" />
+        </button>
+        <div>
+          <h1 className="text-xl font-bold text-white">Ride History</h1>
+          <p className="text-sm text-slate-400">
+            {filtered.length} activities{resolved.defended + resolved.expired > 0 && ` • ${resolved.defended} threats defended, ${resolved.expired} lost`}
+          </p>
+        </div>
+      </div>
+
+      <div className="p-4 space-y-3">
+        <div className="flex gap-2">
+          {[{ id: 'all', name: 'All', emoji: '' }, ...Object.values(ACTIVITIES)].map(f => (
+            <button
+              key={f.id}
+              onClick={() => changeFilter(f.id)}
+              className="flex-1 py-2 rounded-lg text-sm border"
+              style={filter === f.id ? { backgroundColor: `${activity?.color}30`, borderColor: activity?.color, color: activity?.color } : { borderColor: '#334155', color: '#94a3b8' }}
+            >
+              {f.emoji} {f.name}
+            </button>
+          ))}
+        </div>
+
+        {visible.length === 0 && <p className="text-center text-slate-500 py-8">No activities yet</p>}
+
+        {visible.map(ride => {
+          const act = ACTIVITIES[ride.activity_type]
+          return (
+            <button key={ride.id} onClick={() => open(ride)} className="w-full bg-slate-800 rounded-xl p-4 border border-slate-700 flex items-center gap-3 text-left">
+              <span className="text-2xl">{act?.emoji}</span>
+              <div className="flex-1 min-w-0">
+                <div className="font-medium text-white">{new Date(ride.started_at).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })}</div>
+                <div className="text-xs text-slate-400">
+                  {(ride.distance_m / 1000).toFixed(1)} km • {formatDuration(ride.duration_sec || 0)} • {ride.tiles_touched || 0} tiles
+                </div>
+              </div>
+              {defendedBy.has(ride.id) && <Shield className="w-4 h-4 text-emerald-400" />}
+              {ride.imported && <span className="text-xs text-slate-400 bg-slate-700 px-2 py-0.5 rounded">Imported</span>}
+              {ride.pending && <CloudOff className="w-4 h-4 text-amber-400" />}
+              <ChevronRight className="w-5 h-5 text-slate-500" />
+            </button>
+          )
+        })}
+
+        {pages > 1 && (
+          <div className="flex items-center justify-between pt-2">
+            <button onClick={() => setPage(p => p - 1)} disabled={page === 0} className="p-2 bg-slate-800 rounded-lg disabled:opacity-30">
+              <ChevronLeft className="w-5 h-5 text-white" />
+            </button>
+            <span className="text-sm text-slate-400">Page {page + 1} of {pages}</span>
+            <button onClick={() => setPage(p => p + 1)} disabled={page >= pages - 1} className="p-2 bg-slate-800 rounded-lg disabled:opacity-30">
+              <ChevronRight className="w-5 h-5 text-white" />
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+function RideDetailPage() {
+  const { viewRide: ride, rides, threats, setCurrentPage } = useApp()
+  const [track, setTrack] = useState(ride?.track || null)
+  const containerRef = useRef(null), mapRef = useRef(null)
+  const act = ACTIVITIES[ride?.activity_type]
+
+  useEffect(() => {
+    if (!ride || track) return
+    getRideTrack(ride.id).then(({ data }) => setTrack(data || []))
+  }, [ride, track])
+
+  const cells = useMemo(() => track ? Array.from(trackCells(track, activityRes(ride?.activity_type), CONFIG.MAX_GAP_FILL_METERS)) : [], [track, ride])
+
+  // Rides on this route in the unlock window ending at this ride, itself included
+  const progress = useMemo(() => ride ? routeProgress(ride, rides) : { matches: [], count: 1 }, [rides, ride])
+  const matches = progress.matches
+  const unlockCount = progress.count
+
+  useEffect(() => {
+    if (!containerRef.current || !track?.length) return
+    const bounds = track.reduce((b, p) => b.extend([p.lng, p.lat]), new mapboxgl.LngLatBounds([track[0].lng, track[0].lat], [track[0].lng, track[0].lat]))
+    const map = new mapboxgl.Map({ container: containerRef.current, style: act?.mapStyle || 'mapbox://styles/mapbox/dark-v11', bounds, fitBoundsOptions: { padding: 40 }, attributionControl: false })
+    mapRef.current = map
+    map.on('load', () => {
+      const features = cells.map(c => ({ type: 'Feature', geometry: { type: 'Polygon', coordinates: [cellToBoundary(c, true)] } }))
+      map.addSource('cells', { type: 'geojson', data: { type: 'FeatureCollection', features } })
+      map.addLayer({ id: 'cells-fill', type: 'fill', source: 'cells', paint: { 'fill-color': act?.color, 'fill-opacity': 0.3 } })
+      map.addLayer({ id: 'cells-line', type: 'line', source: 'cells', paint: { 'line-color': act?.color, 'line-width': 1 } })
+      map.addSource('track', { type: 'geojson', data: { type: 'Feature', geometry: { type: 'LineString', coordinates: track.map(p => [p.lng, p.lat]) } } })
+      map.addLayer({ id: 'track-line', type: 'line', source: 'track', layout: { 'line-join': 'round', 'line-cap': 'round' }, paint: { 'line-color': '#ffffff', 'line-width': 3 } })
+    })
+    return () => map.remove()
+  }, [track, cells, act])
+
+  if (!ride) return <div className="min-h-screen bg-slate-900 flex items-center justify-center"><button onClick={() => setCurrentPage('history')} className="text-cyan-400">Back to history</button></div>
+
+  const speed = ride.duration_sec ? ride.distance_m / ride.duration_sec * 3.6 : 0
+  const pace = ride.distance_m ? ride.duration_sec / (ride.distance_m / 1000) : 0
+  const defended = threats.filter(t => t.status === 'defended' && t.defended_ride_id === ride.id).length
+  const xp = rideXp(ride, defended)
+
+  return (
+    <div className="min-h-screen bg-slate-900 pb-6">
+      <div className="bg-slate-800 p-4 border-b border-slate-700 flex items-center gap-4">
+        <button onClick={() => setCurrentPage('history')} className="p-2 bg-slate-700 rounded-lg">
+          <ChevronLeft className="w-5 h-5 text-white" />
+        </button>
+        <div>
+          <h1 className="text-xl font-bold text-white">{act?.emoji} {act?.name}</h1>
+          <p className="text-sm text-slate-400">{new Date(ride.started_at).toLocaleString()}{ride.imported ? ' • Imported' : ''}</p>
+        </div>
+      </div>
+
+      <div className="relative h-72 bg-slate-800">
+        <div ref={containerRef} className="absolute inset-0" />
+        {!track && <div className="absolute inset-0 flex items-center justify-center"><Loader2 className="w-8 h-8 text-slate-500 animate-spin" /></div>}
+        {track && !track.length && <div className="absolute inset-0 flex items-center justify-center text-sm text-slate-500">No GPS track stored for this ride</div>}
+      </div>
+
+      <div className="p-4 space-y-4">
+        <div className="grid grid-cols-3 gap-3">
+          <div className="bg-slate-800 rounded-2xl p-4 text-center border border-slate-700">
+            <div className="text-xl font-bold text-white">{(ride.distance_m / 1000).toFixed(2)}</div>
+            <div className="text-xs text-slate-500">km</div>
+          </div>
+          <div className="bg-slate-800 rounded-2xl p-4 text-center border border-slate-700">
+            <div className="text-xl font-bold text-white">{formatDuration(ride.duration_sec || 0)}</div>
+            <div className="text-xs text-slate-500">Moving time</div>
+          </div>
+          <div className="bg-slate-800 rounded-2xl p-4 text-center border border-slate-700">
+            <div className="text-xl font-bold text-white">{ride.activity_type === 'cycling' ? speed.toFixed(1) : formatDuration(pace)}</div>
+            <div className="text-xs text-slate-500">{ride.activity_type === 'cycling' ? 'km/h avg' : 'min/km'}</div>
+          </div>
+          <div className="bg-slate-800 rounded-2xl p-4 text-center border border-slate-700">
+            <div className="text-xl font-bold text-white">{ride.tiles_touched || 0}</div>
+            <div className="text-xs text-slate-500">Tiles</div>
+          </div>
+          <div className="bg-slate-800 rounded-2xl p-4 text-center border border-slate-700">
+            <div className="text-xl font-bold text-amber-300">+{xp}</div>
+            <div className="text-xs text-slate-500">XP</div>
+          </div>
+          <div className="bg-slate-800 rounded-2xl p-4 text-center border border-slate-700">
+            <div className="text-xl font-bold" style={{ color: act?.color }}>{Math.min(unlockCount, CONFIG.UNLOCK_THRESHOLD)}/{CONFIG.UNLOCK_THRESHOLD}</div>
+            <div className="text-xs text-slate-500">Route unlock</div>
+          </div>
+        </div>
+
+        <p className="text-xs text-slate-500 text-center">
+          {unlockCount >= CONFIG.UNLOCK_THRESHOLD
+            ? `Route unlocked - ridden ${unlockCount} times in the ${CONFIG.UNLOCK_WINDOW_DAYS} days up to this ride`
+            : `${unlockCount} of ${CONFIG.UNLOCK_THRESHOLD} matching rides in the ${CONFIG.UNLOCK_WINDOW_DAYS} days up to this ride`}
+        </p>
+
+        {defended > 0 && (
+          <div className="bg-emerald-500/10 rounded-2xl p-3 border border-emerald-500/40 flex items-center gap-2 text-sm text-emerald-300">
+            <Shield className="w-4 h-4" />Defended {defended === 1 ? 'a threatened route' : `${defended} threatened routes`} (+{defended * DEFEND_XP} XP)
+          </div>
+        )}
+
+        {matches.length > 0 && (
+          <div className="bg-slate-800 rounded-2xl p-4 border border-slate-700">
+            <RouteMatchList matches={matches} />
+          </div>
+        )}
+
+        <div className="bg-slate-800 rounded-2xl p-4 border border-slate-700">
+          <div className="text-sm text-slate-400 mb-3">Export</div>
+          <ExportButtons ride={{ ...ride, track }} />
+        </div>
+      </div>
+    </div>
+  )
+}
+
 // ============== PROFILE PAGE ==============
+// Share of the rider's city they have visited and own, measured against its
+// administrative boundary. The result is stored for the city leaderboard.
+function CityExplorationCard() {
+  const { user, profile, rides, tiles } = useApp()
+  const [data, setData] = useState(null)
+  const [result, setResult] = useState(null)
+  const savedRef = useRef(null) // percentages last stored, so unchanged stats aren't rewritten
+  const city = profile?.city, country = profile?.country
+
+  useEffect(() => {
+    if (!city || data) return
+    loadExploration(user.id, { resolution: CONFIG.H3_RESOLUTION, maxGapFill: CONFIG.MAX_GAP_FILL_METERS }).then(setData)
+  }, [city, data, user])
+
+  useEffect(() => {
+    if (!city || !data) return
+    let cancelled = false
+    const visited = new Set(data.visited)
+    rides.forEach(r => r.h3_cells?.length && cellsAtResolution(r.h3_cells, CONFIG.H3_RESOLUTION).forEach(c => visited.add(c)))
+    const owned = cellsAtResolution(tiles.map(t => t.h3_index), CONFIG.H3_RESOLUTION)
+    const key = (visitedPct, ownedPct) => `${city}|${Number(visitedPct).toFixed(2)}|${Number(ownedPct).toFixed(2)}`
+    cityExploration(city, country, { visited, owned, res: CONFIG.H3_RESOLUTION }).then(async res => {
+      if (cancelled) return
+      setResult(res)
+      if (!res.stat || data.error) return
+      if (savedRef.current == null) {
+        const { data: rows } = await getCityExploration(city, [user.id])
+        savedRef.current = rows?.[0] ? key(rows[0].visited_pct, rows[0].owned_pct) : ''
+      }
+      const next = key(res.stat.visitedPct, res.stat.ownedPct)
+      if (cancelled || next === savedRef.current) return
+      savedRef.current = next
+      saveCityExploration({ userId: user.id, city, country, visitedPct: res.stat.visitedPct, ownedPct: res.stat.ownedPct })
+    })
+    return () => { cancelled = true }
+  }, [city, country, data, rides, tiles, user])
+
+  if (!city) return null
+  const stat = result?.stat
+  return (
+    <div className="bg-slate-800 rounded-xl p-4 border border-slate-700">
+      <h2 className="font-semibold text-white mb-1 flex items-center gap-2"><MapPin className="w-5 h-5 text-slate-400" />{city}</h2>
+      {!result ? <Loader2 className="w-5 h-5 animate-spin text-slate-500" /> :
+      !stat ? <p className="text-xs text-slate-400">{result.error ? 'Could not load the city boundary' : 'No boundary available for this city yet'}</p> : (
+        <>
+          <p className="text-sm text-slate-300">You've explored <span className="font-bold text-white">{stat.visitedPct.toFixed(1)}%</span> of {city}</p>
+          <div className="h-2 bg-slate-700 rounded-full overflow-hidden my-2">
+            <div className="h-full bg-cyan-500" style={{ width: `${Math.min(100, stat.visitedPct)}%` }} />
+          </div>
+          <p className="text-xs text-slate-400">{stat.ownedPct.toFixed(1)}% owned • {stat.visitedCells.toLocaleString()} of {stat.total.toLocaleString()} tiles visited</p>
+        </>
+      )}
+    </div>
+  )
+}
+
 function ProfilePage() {
-  const { user, profile, rides, tiles, handleSignOut, setCurrentPage, streak, achievements, selectedActivity, activity } = useApp()
+  const { user, profile, rides, tiles, handleSignOut, setCurrentPage, streak, achievements, selectedActivity, activity, pendingSync, addToast } = useApp()
+  const [exporting, setExporting] = useState(null)
   const totalDist = rides.reduce((s, r) => s + (r.distance_m || 0), 0)
-  const level = getLevel(profile?.xp || 0)
+  const level = levelFor(profile?.xp || 0)
+
+  const exportAll = async (format) => {
+    setExporting({ format, done: 0 })
+    const { count, skipped, error } = await exportAllRides(user.id, format, done => setExporting({ format, done }))
+    if (error) addToast('Export failed', 'error')
+    else if (!count) addToast('No rides with GPS tracks to export', 'warning')
+    else addToast(`Exported ${count} rides${skipped ? ` (${skipped} without tracks skipped)` : ''}`, 'success')
+    setExporting(null)
+  }
 
   return (
     <div className="min-h-screen bg-slate-900 pb-24">
@@ -2148,6 +3356,7 @@ function ProfilePage() {
             <div className="flex items-center gap-2"><h1 className="text-xl font-bold text-white">{profile?.first_name} {profile?.last_name}</h1><StreakBadge streak={streak} /></div>
             <p className="text-sm text-white/70">{user?.email}</p>
             <p className="text-sm text-white/80 mt-1">{profile?.xp || 0} XP • Level {level}</p>
+            {pendingSync > 0 && <div className="mt-2 inline-block"><SyncBadge count={pendingSync} /></div>}
           </div>
         </div>
         <div className="grid grid-cols-3 gap-4 bg-white/10 rounded-xl p-4">
@@ -2169,6 +3378,42 @@ function ProfilePage() {
           <ChevronRight className="w-5 h-5 text-slate-500" />
         </button>
 
+        <CityExplorationCard />
+
+        <button onClick={() => setCurrentPage('history')} className="w-full bg-slate-800 rounded-xl p-4 border border-slate-700 flex items-center gap-3">
+          <div className="w-10 h-10 bg-slate-700 rounded-lg flex items-center justify-center">
+            <History className="w-5 h-5 text-slate-400" />
+          </div>
+          <div className="flex-1 text-left">
+            <div className="font-medium text-white">Ride History</div>
+            <div className="text-xs text-slate-400">{rides.length} activities</div>
+          </div>
+          <ChevronRight className="w-5 h-5 text-slate-500" />
+        </button>
+
+        <button onClick={() => setCurrentPage('import')} className="w-full bg-slate-800 rounded-xl p-4 border border-slate-700 flex items-center gap-3">
+          <div className="w-10 h-10 bg-slate-700 rounded-lg flex items-center justify-center">
+            <FileUp className="w-5 h-5 text-slate-400" />
+          </div>
+          <div className="flex-1 text-left">
+            <div className="font-medium text-white">Import Activities</div>
+            <div className="text-xs text-slate-400">GPX, TCX and FIT files</div>
+          </div>
+          <ChevronRight className="w-5 h-5 text-slate-500" />
+        </button>
+
+        <div className="bg-slate-800 rounded-xl p-4 border border-slate-700">
+          <h2 className="font-semibold text-white mb-1 flex items-center gap-2"><Download className="w-5 h-5 text-slate-400" />Export All Rides</h2>
+          <p className="text-xs text-slate-400 mb-3">{exporting ? `Preparing ${exporting.done} rides...` : 'Download every ride as a zip'}</p>
+          <div className="flex gap-2">
+            {Object.entries(EXPORT_FORMATS).map(([id, f]) => (
+              <button key={id} onClick={() => exportAll(id)} disabled={!!exporting} className="flex-1 bg-slate-700 text-white text-sm py-2 rounded-lg flex items-center justify-center gap-1 disabled:opacity-50">
+                {exporting?.format === id && <Loader2 className="w-4 h-4 animate-spin" />}{f.name}
+              </button>
+            ))}
+          </div>
+        </div>
+
         <div className="bg-slate-800 rounded-xl p-4 border border-slate-700">
           <h2 className="font-semibold text-white mb-3">Activity Breakdown</h2>
           {Object.values(ACTIVITIES).map(act => {
@@ -2197,6 +3442,163 @@ function ProfilePage() {
   )
 }
 
+// ============== IMPORT PAGE ==============
+// Past activities from GPX/TCX/FIT files. Each file is replayed through the
+// recording tracker; imported rides only claim tiles nobody owns yet.
+const summarizeImport = (item, activityType) => {
+  const tracker = newTracker(activityType)
+  item.points.forEach(p => tracker.push(p))
+  const track = tracker.points
+  return {
+    tracker,
+    startedAt: track[0]?.ts,
+    endedAt: track[track.length - 1]?.ts,
+    tooShort: track.length < CONFIG.MIN_RIDE_POINTS,
+  }
+}
+
+function ImportPage() {
+  const { user, profile, rides, setRides, setTiles, setCurrentPage, addToast, selectedActivity, activity } = useApp()
+  const [items, setItems] = useState([])
+  const [reading, setReading] = useState(false)
+  const [importing, setImporting] = useState(false)
+  const fileInputRef = useRef(null)
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files || [])
+    e.target.value = ''
+    if (!files.length) return
+    setReading(true)
+    const parsed = []
+    for (const file of files) {
+      try {
+        const { points, activityType } = await readActivityFile(file)
+        parsed.push({ id: `${file.name}-${file.lastModified}`, name: file.name, points, activityType: activityType || selectedActivity, status: 'ready' })
+      } catch (err) {
+        parsed.push({ id: `${file.name}-${file.lastModified}`, name: file.name, points: [], status: 'error', error: err.message })
+      }
+    }
+    setItems(p => [...p, ...parsed.filter(n => !p.some(o => o.id === n.id))])
+    setReading(false)
+  }
+
+  const previews = useMemo(() => Object.fromEntries(items.filter(i => i.status !== 'error').map(i => [i.id, summarizeImport(i, i.activityType)])), [items])
+
+  const existingStarts = useMemo(() => new Set(rides.map(r => Date.parse(r.started_at))), [rides])
+  const isDuplicate = (item) => existingStarts.has(previews[item.id]?.startedAt)
+  const importable = items.filter(i => i.status === 'ready' && !previews[i.id].tooShort && !isDuplicate(i))
+
+  const setItem = (id, changes) => setItems(p => p.map(i => i.id === id ? { ...i, ...changes } : i))
+
+  const runImport = async () => {
+    setImporting(true)
+    let done = 0, queuedAny = false
+    // Earlier files in the same batch are route candidates too
+    const known = [...rides]
+    for (const item of importable) {
+      const { tracker, startedAt, endedAt } = previews[item.id]
+      const ride = await buildRide({
+        userId: user.id, activityType: item.activityType, cells: tracker.cells,
+        startedAt, endedAt, duration: movingTime(tracker.points, ACTIVITIES[item.activityType].autoPauseRadius, ACTIVITIES[item.activityType].autoPauseSeconds),
+        distance: tracker.distance, rides: known, imported: true,
+      })
+      known.push(ride)
+      const { data, queued, error } = await send('ride', { ride, track: tracker.points, raw: tracker.raw })
+      if (error) { setItem(item.id, { status: 'error', error: 'Failed to save' }); continue }
+      // Backdated rides never take tiles from other players or threaten their routes
+      const { claimCells, canSteal, ownership } = settleRide({ ride, rides: known, loop: captureLoops(tracker.points, item.activityType).cells, city: profile?.city })
+      const claim = await send('claim', { cells: claimCells, userId: user.id, activityType: item.activityType, claimedAt: ride.ended_at, canSteal, imported: true, ownership, raiseThreats: false })
+      if (claim.data) { setTiles(p => mergeOwnedTiles(p, claim.data.rows)); invalidateViewport() }
+      queuedAny = queuedAny || queued || claim.queued
+      setRides(p => [data || { ...ride, created_at: new Date().toISOString(), pending: true }, ...p])
+      setItem(item.id, { status: 'imported' })
+      done++
+    }
+    if (done) addToast(queuedAny ? `Imported ${done} - will sync when back online` : `Imported ${done} ${done === 1 ? 'activity' : 'activities'}!`, queuedAny ? 'warning' : 'success')
+    setImporting(false)
+  }
+
+  const statusText = (item) => {
+    if (item.status === 'error') return { text: item.error, color: 'text-red-400' }
+    if (item.status === 'imported') return { text: 'Imported', color: 'text-emerald-400' }
+    if (previews[item.id]?.tooShort) return { text: 'Too short', color: 'text-amber-400' }
+    if (isDuplicate(item)) return { text: 'Already imported', color: 'text-slate-500' }
+    return null
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-900">
+      <div className="bg-slate-800 p-4 border-b border-slate-700 flex items-center gap-4">
+        <button onClick={() => setCurrentPage('profile')} className="p-2 bg-slate-700 rounded-lg">
+          <ChevronLeft className="w-5 h-5 text-white" />
+        </button>
+        <h1 className="text-xl font-bold text-white">Import Activities</h1>
+      </div>
+
+      <div className="p-4 space-y-4">
+        <div className="bg-slate-800 rounded-xl p-4 border border-slate-700 text-center">
+          <input ref={fileInputRef} type="file" multiple accept={IMPORT_EXTENSIONS.join(',')} onChange={handleFiles} className="hidden" />
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            disabled={reading || importing}
+            className="bg-slate-700 text-white px-4 py-2 rounded-lg inline-flex items-center gap-2 disabled:opacity-50"
+          >
+            {reading ? <Loader2 className="w-4 h-4 animate-spin" /> : <FileUp className="w-4 h-4" />}
+            Choose Files
+          </button>
+          <p className="text-xs text-slate-500 mt-2">GPX, TCX or FIT from your bike computer or watch</p>
+          <p className="text-xs text-slate-500">Imported activities only claim unowned tiles</p>
+        </div>
+
+        {items.map(item => {
+          const preview = previews[item.id]
+          const status = statusText(item)
+          return (
+            <div key={item.id} className="bg-slate-800 rounded-xl p-4 border border-slate-700">
+              <div className="flex items-start justify-between gap-2">
+                <div className="min-w-0">
+                  <div className="font-medium text-white truncate">{item.name}</div>
+                  {preview && (
+                    <div className="text-xs text-slate-400">
+                      {preview.startedAt ? new Date(preview.startedAt).toLocaleDateString() : '—'} • {(preview.tracker.distance / 1000).toFixed(1)} km • {preview.tracker.cells.size} tiles
+                    </div>
+                  )}
+                </div>
+                {status && <span className={`text-xs font-medium shrink-0 ${status.color}`}>{status.text}</span>}
+              </div>
+              {item.status === 'ready' && (
+                <div className="flex gap-2 mt-3">
+                  {Object.values(ACTIVITIES).map(act => (
+                    <button
+                      key={act.id}
+                      onClick={() => setItem(item.id, { activityType: act.id })}
+                      className="flex-1 py-1.5 rounded-lg text-sm border"
+                      style={item.activityType === act.id ? { backgroundColor: `${act.color}30`, borderColor: act.color, color: act.color } : { borderColor: '#334155', color: '#94a3b8' }}
+                    >
+                      {act.emoji} {act.name}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )
+        })}
+
+        {items.length > 0 && (
+          <button
+            onClick={runImport}
+            disabled={!importable.length || importing}
+            className={`w-full bg-gradient-to-r ${activity?.gradient} text-white font-bold py-4 rounded-xl flex items-center justify-center gap-2 disabled:opacity-50`}
+          >
+            {importing ? <Loader2 className="w-5 h-5 animate-spin" /> : <Upload className="w-5 h-5" />}
+            Import {importable.length} {importable.length === 1 ? 'Activity' : 'Activities'}
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
 // ============== SETTINGS PAGE ==============
 function SettingsPage() {
   const { user, profile, setProfile, setCurrentPage, addToast, selectedActivity, setSelectedActivity, activity } = useApp()
@@ -2435,9 +3837,9 @@ function KingOfCityPage() {
     const loadTracks = async () => {
       if (!city) {
         // Try to detect city
-        navigator.geolocation.getCurrentPosition(async pos => {
+        getCurrentPosition().then(async pos => {
           try {
-            const res = await fetch(`https://api.mapbox.com/geocoding/v5/mapbox.places/${pos.coords.longitude},${pos.coords.latitude}.json?types=place&access_token=${mapboxgl.accessToken}`)
+            const res = await fetch(`https://api.mapbox.com/geocoding/v5/mapbox.places/${pos.lng},${pos.lat}.json?types=place&access_token=${mapboxgl.accessToken}`)
             const data = await res.json()
             const detectedCity = data.features?.[0]?.text
             if (detectedCity && user) {
@@ -2445,7 +3847,7 @@ function KingOfCityPage() {
               loadTracksForCity(detectedCity)
             }
           } catch {}
-        })
+        }, () => {})
         return
       }
       loadTracksForCity(city)
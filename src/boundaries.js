@@ -0,0 +1,126 @@
+import { geometryCells, geometryContains } from './geo'
+
+// ============== CITY BOUNDARIES ==============
+// Administrative boundaries behind "you've explored 12.4% of Berlin". Where
+// they come from is pluggable: a source has an async find(city, country)
+// resolving to a GeoJSON Polygon or MultiPolygon geometry, or null when it
+// has no boundary for that city, and optionally an async locate(lat, lng)
+// resolving to the { city, country } whose boundary contains the point.
+//
+// The default source looks in a local FeatureCollection first and falls back
+// to OpenStreetMap's boundaries through Nominatim's public search API
+// (https://nominatim.org/release-docs/latest/api/Search/), which has a
+// boundary for nearly every city riders will name. The local file's features
+// carry `name` and, optionally, `country` properties; use it to pin a
+// boundary Nominatim gets wrong or to spell a city the way profiles do.
+// public/boundaries/cities.geojson ships empty. VITE_BOUNDARIES_URL points the
+// local source at any other URL serving the same format (CORS permitting), and
+// VITE_NOMINATIM_URL at a self-hosted Nominatim for heavier use than the
+// public instance's policy of one request a second allows.
+
+const DEFAULT_BOUNDARIES_URL = import.meta.env.VITE_BOUNDARIES_URL || '/boundaries/cities.geojson'
+const DEFAULT_NOMINATIM_URL = import.meta.env.VITE_NOMINATIM_URL || 'https://nominatim.openstreetmap.org'
+
+const sameName = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase()
+const isArea = (geometry) => geometry?.type === 'Polygon' || geometry?.type === 'MultiPolygon'
+
+export function geojsonBoundarySource(url) {
+  let features = null
+  const load = async () => {
+    if (!features) {
+      const res = await fetch(url)
+      if (!res.ok) throw new Error(`Could not load boundaries (${res.status})`)
+      features = ((await res.json()).features || []).filter(f => isArea(f.geometry))
+    }
+    return features
+  }
+  return {
+    find: async (city, country) => {
+      const match = (await load()).find(f => sameName(f.properties?.name, city) && (!country || !f.properties?.country || sameName(f.properties.country, country)))
+      return match?.geometry || null
+    },
+    locate: async (lat, lng) => {
+      const match = (await load()).find(f => geometryContains(f.geometry, lat, lng))
+      return match ? { city: match.properties.name, country: match.properties.country || null } : null
+    },
+  }
+}
+
+// Prefers an administrative boundary over any other area sharing the name
+export function nominatimBoundarySource(url = DEFAULT_NOMINATIM_URL) {
+  const found = new Map() // `${city}|${country}` -> Promise<geometry | null>
+  const search = async (city, country) => {
+    const params = new URLSearchParams({ city, format: 'jsonv2', polygon_geojson: '1', limit: '5' })
+    if (country) params.set('country', country)
+    const res = await fetch(`${url}/search?${params}`)
+    if (!res.ok) throw new Error(`Could not look up ${city} (${res.status})`)
+    const areas = (await res.json()).filter(r => isArea(r.geojson))
+    return (areas.find(r => r.category === 'boundary' && r.type === 'administrative') || areas[0])?.geojson || null
+  }
+  return {
+    find: (city, country) => {
+      const key = `${city}|${country || ''}`
+      if (!found.has(key)) {
+        const geometry = search(city, country)
+        geometry.catch(() => found.delete(key))
+        found.set(key, geometry)
+      }
+      return found.get(key)
+    },
+  }
+}
+
+// Asks each source in turn, returning the first boundary or city found
+export function firstBoundarySource(...sources) {
+  const first = async (ask) => {
+    for (const s of sources) {
+      const result = await ask(s)
+      if (result) return result
+    }
+    return null
+  }
+  return {
+    find: (city, country) => first(s => s.find(city, country)),
+    locate: (lat, lng) => first(s => s.locate?.(lat, lng)),
+  }
+}
+
+let source = firstBoundarySource(geojsonBoundarySource(DEFAULT_BOUNDARIES_URL), nominatimBoundarySource())
+const cityCache = new Map() // `${city}|${country}|${res}` -> Promise<Set | null>
+
+export function setBoundarySource(next) {
+  source = next
+  cityCache.clear()
+}
+
+// The { city, country } whose boundary contains the point, or null when no
+// source can place it
+export const cityForPoint = (lat, lng) => source.locate ? source.locate(lat, lng) : Promise.resolve(null)
+
+// Cells of `res` filling the city's boundary, or null when the source has none
+export function cityCells(city, country, res) {
+  const key = `${city}|${country || ''}|${res}`
+  if (!cityCache.has(key)) {
+    const cells = source.find(city, country).then(geometry => geometry ? geometryCells(geometry, res) : null)
+    cells.catch(() => cityCache.delete(key))
+    cityCache.set(key, cells)
+  }
+  return cityCache.get(key)
+}
+
+// How much of the city the rider has visited and currently owns, as
+// percentages of its cells. `stat` is null when there is no boundary.
+export async function cityExploration(city, country, { visited, owned, res }) {
+  try {
+    const cells = await cityCells(city, country, res)
+    if (!cells?.size) return { stat: null, error: null }
+    const inside = collection => { let n = 0; collection.forEach(c => { if (cells.has(c)) n++ }); return n }
+    const visitedCells = inside(visited), ownedCells = inside(owned)
+    return {
+      stat: { city, total: cells.size, visitedCells, ownedCells, visitedPct: visitedCells / cells.size * 100, ownedPct: ownedCells / cells.size * 100 },
+      error: null,
+    }
+  } catch (error) {
+    return { stat: null, error }
+  }
+}
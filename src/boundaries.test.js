@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { latLngToCell } from 'h3-js'
+import { geojsonBoundarySource, nominatimBoundarySource, firstBoundarySource, setBoundarySource, cityForPoint, cityCells, cityExploration } from './boundaries'
+
+// A box over central Berlin with a hole cut out of it, standing in for the
+// city's administrative boundary
+const BERLIN = {
+  type: 'Polygon',
+  coordinates: [
+    [[13.36, 52.49], [13.44, 52.49], [13.44, 52.54], [13.36, 52.54], [13.36, 52.49]],
+    [[13.39, 52.51], [13.41, 52.51], [13.41, 52.52], [13.39, 52.52], [13.39, 52.51]],
+  ],
+}
+const COLLECTION = {
+  type: 'FeatureCollection',
+  features: [
+    { type: 'Feature', properties: { name: 'Berlin', country: 'Germany' }, geometry: BERLIN },
+    { type: 'Feature', properties: { name: 'Nowhere' }, geometry: { type: 'Point', coordinates: [13.4, 52.5] } },
+  ],
+}
+
+const respond = (body, status = 200) => Promise.resolve({ ok: status < 400, status, json: async () => body })
+
+afterEach(() => vi.unstubAllGlobals())
+
+describe('geojsonBoundarySource', () => {
+  beforeEach(() => vi.stubGlobal('fetch', vi.fn(() => respond(COLLECTION))))
+
+  it('finds a city by name and country, loading the file once', async () => {
+    const source = geojsonBoundarySource('/boundaries.geojson')
+    expect(await source.find(' berlin ', 'GERMANY')).toBe(BERLIN)
+    expect(await source.find('Berlin')).toBe(BERLIN)
+    expect(await source.find('Berlin', 'Canada')).toBeNull()
+    expect(await source.find('Nowhere')).toBeNull()
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  it('fails when the file cannot be loaded', async () => {
+    fetch.mockImplementation(() => respond(null, 404))
+    await expect(geojsonBoundarySource('/missing.geojson').find('Berlin')).rejects.toThrow('404')
+  })
+})
+
+describe('nominatimBoundarySource', () => {
+  const results = [
+    { category: 'place', type: 'city', geojson: { type: 'Point', coordinates: [13.4, 52.52] } },
+    { category: 'landuse', type: 'residential', geojson: { type: 'Polygon', coordinates: [] } },
+    { category: 'boundary', type: 'administrative', geojson: BERLIN },
+  ]
+
+  it('takes the administrative boundary and asks once per city', async () => {
+    vi.stubGlobal('fetch', vi.fn(() => respond(results)))
+    const source = nominatimBoundarySource('https://nominatim.test')
+    expect(await source.find('Berlin', 'Germany')).toBe(BERLIN)
+    expect(await source.find('Berlin', 'Germany')).toBe(BERLIN)
+    expect(fetch).toHaveBeenCalledTimes(1)
+    const url = new URL(fetch.mock.calls[0][0])
+    expect(url.origin + url.pathname).toBe('https://nominatim.test/search')
+    expect(Object.fromEntries(url.searchParams)).toMatchObject({ city: 'Berlin', country: 'Germany', polygon_geojson: '1' })
+  })
+
+  it('has nothing for a city without an area', async () => {
+    vi.stubGlobal('fetch', vi.fn(() => respond(results.slice(0, 1))))
+    expect(await nominatimBoundarySource('https://nominatim.test').find('Berlin')).toBeNull()
+  })
+})
+
+describe('cityForPoint', () => {
+  afterEach(() => setBoundarySource(firstBoundarySource()))
+
+  it('names the city whose boundary holds the point', async () => {
+    vi.stubGlobal('fetch', vi.fn(() => respond(COLLECTION)))
+    setBoundarySource(firstBoundarySource({ find: async () => null }, geojsonBoundarySource('/boundaries.geojson')))
+    expect(await cityForPoint(52.50, 13.38)).toEqual({ city: 'Berlin', country: 'Germany' })
+    // Inside the hole and outside the box
+    expect(await cityForPoint(52.515, 13.40)).toBeNull()
+    expect(await cityForPoint(48.85, 2.35)).toBeNull()
+  })
+
+  it('is null for sources that cannot locate', async () => {
+    setBoundarySource({ find: async () => BERLIN })
+    expect(await cityForPoint(52.50, 13.38)).toBeNull()
+  })
+})
+
+describe('cityExploration', () => {
+  afterEach(() => setBoundarySource(firstBoundarySource()))
+
+  it('counts only the cells inside the boundary', async () => {
+    setBoundarySource({ find: async (city) => city === 'Berlin' ? BERLIN : null })
+    const cells = [...await cityCells('Berlin', 'Germany', 10)]
+    expect(cells.length).toBeGreaterThan(100)
+    expect(cells).not.toContain(latLngToCell(52.515, 13.40, 10))
+
+    const half = cells.slice(0, cells.length / 2)
+    const outside = [latLngToCell(48.85, 2.35, 10), latLngToCell(52.515, 13.40, 10)]
+    const { stat, error } = await cityExploration('Berlin', 'Germany', { visited: new Set([...half, ...outside]), owned: cells.slice(0, 1), res: 10 })
+    expect(error).toBeNull()
+    expect(stat).toEqual({
+      city: 'Berlin', total: cells.length,
+      visitedCells: half.length, ownedCells: 1,
+      visitedPct: half.length / cells.length * 100, ownedPct: 1 / cells.length * 100,
+    })
+    expect(stat.visitedPct).toBeCloseTo(50, 0)
+  })
+
+  it('has no stat without a boundary and reports a failing source', async () => {
+    setBoundarySource({ find: async () => null })
+    expect(await cityExploration('Atlantis', null, { visited: new Set(), owned: [], res: 10 })).toEqual({ stat: null, error: null })
+    setBoundarySource({ find: async () => { throw new Error('offline') } })
+    const failed = await cityExploration('Berlin', null, { visited: new Set(), owned: [], res: 10 })
+    expect(failed.stat).toBeNull()
+    expect(failed.error.message).toBe('offline')
+  })
+})
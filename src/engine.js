@@ -0,0 +1,179 @@
+import { planClaim, tileStatus, DECAY_DAYS } from './territory'
+import { routeMatches } from './routes'
+import { defendedThreats, DEFEND_XP } from './threats'
+
+// ============== GAME RULES ==============
+// The rules of the game with no React or Supabase behind them: rides and
+// tiles go in, claims, XP, unlocks and achievements come out. This module,
+// and territory.js, threats.js and routes.js beneath it, depend only on their
+// arguments (the clock is passed in), so recording, importing and any server
+// job score a ride alike.
+
+export const RULES = {
+  UNLOCK_THRESHOLD: 3,
+  UNLOCK_WINDOW_DAYS: 7,
+  ROUTE_MATCH_THRESHOLD: 0.6,
+  MAX_SPEED_MS: { cycling: 18, running: 8, hiking: 4 },
+  XP_MULTIPLIER: { cycling: 1.0, running: 1.2, hiking: 1.5 },
+  // Tile ownership mode (see territory.js) by season, then city, then default.
+  // e.g. cities: { Berlin: { mode: 'most_visits', windowDays: 14 } },
+  // seasons: [{ name: 'Winter League', from: '2026-12-01', to: '2027-03-01', mode: 'clan_majority', windowDays: 30 }]
+  OWNERSHIP: {
+    default: { mode: 'last_visit' },
+    cities: {},
+    seasons: [],
+  },
+}
+
+const DAY_MS = 86400000
+
+// Fastest plausible speed for an activity; faster fixes are GPS glitches
+export const maxSpeed = (activityType) => RULES.MAX_SPEED_MS[activityType]
+
+// ============== LEVELS ==============
+export const LEVEL_XP = [0, 100, 250, 500, 1000, 1750, 2750, 4000, 5500, 7500, 10000]
+
+export const levelFor = (xp) => { for (let i = LEVEL_XP.length-1; i >= 0; i--) if (xp >= LEVEL_XP[i]) return i+1; return 1 }
+
+// Percentage of the way from the current level to the next, 100 at the top
+export const levelProgress = (xp) => {
+  const lvl = levelFor(xp), curr = LEVEL_XP[lvl-1]||0, next = LEVEL_XP[lvl]||LEVEL_XP[LEVEL_XP.length-1]
+  return next > curr ? Math.min(((xp-curr)/(next-curr))*100, 100) : 100
+}
+
+// ============== XP ==============
+// A point per 100 m, per minute and two per tile crossed, scaled by the
+// activity's multiplier, plus DEFEND_XP for each threatened route the ride
+// defended. Imported rides earn nothing.
+export function rideXp(ride, defended = 0) {
+  if (ride.imported) return 0
+  const base = Math.floor(ride.distance_m/100) + Math.floor(ride.duration_sec/60) + (ride.tiles_touched||0)*2
+  return Math.floor(base * (RULES.XP_MULTIPLIER[ride.activity_type] || 1)) + defended * DEFEND_XP
+}
+
+// ============== UNLOCKS ==============
+// Earlier rides on `ride`'s route inside the unlock window, how many rides
+// that makes with `ride` itself, and whether that unlocks the route
+export function routeProgress(ride, rides) {
+  const matches = routeMatches(ride, rides, { threshold: RULES.ROUTE_MATCH_THRESHOLD, windowDays: RULES.UNLOCK_WINDOW_DAYS })
+  const count = matches.length + 1
+  return { matches, count, unlocked: count >= RULES.UNLOCK_THRESHOLD }
+}
+
+// ============== OWNERSHIP ==============
+export const OWNERSHIP_MODES = {
+  last_visit: { name: 'Last through', desc: () => `The last rider through holds a tile. Rivals take it by unlocking a route through it, or once it goes ${DECAY_DAYS} days without a visit.` },
+  most_visits: { name: 'Most visits', desc: (days) => `The rider with the most visits in the last ${days} days holds a tile. Ties go to the holder.` },
+  first_claim: { name: 'First claim', desc: () => 'The first rider to claim a tile keeps it for good.' },
+  clan_majority: { name: 'Clan majority', desc: (days) => `The clan whose riders visited a tile most in the last ${days} days holds it. Riders without a clan count on their own.` },
+}
+
+// The ownership rules in force in `city` at `at`: a season covering `at`
+// wins over the city's mode, which wins over the default
+export function ownershipFor({ city, at = Date.now() } = {}) {
+  const time = typeof at === 'string' ? Date.parse(at) : at
+  const { default: fallback, cities, seasons } = RULES.OWNERSHIP
+  const season = seasons.find(s => Date.parse(s.from) <= time && time < Date.parse(s.to))
+  const picked = season || (city && cities[city]) || fallback
+  return { mode: picked.mode, windowDays: picked.windowDays ?? DECAY_DAYS, season: season?.name || null }
+}
+
+export const describeOwnership = ({ mode, windowDays }) => ({ name: OWNERSHIP_MODES[mode].name, desc: OWNERSHIP_MODES[mode].desc(windowDays) })
+
+// One sentence per reason a claim left tiles unclaimed (planClaim's `reasons`)
+export function keptReasons(reasons = {}, { windowDays }) {
+  const text = {
+    healthy: n => `${n} rival tiles stay theirs until you unlock this route or they go ${DECAY_DAYS} days without a visit`,
+    first_claimed: n => `${n} tiles were claimed first by other riders and stay theirs for good`,
+    outvisited: n => `${n} rival tiles stay theirs: they have at least as many visits in the last ${windowDays} days`,
+    clan_outvisited: n => `${n} tiles stay with clans that visited them at least as often in the last ${windowDays} days`,
+    clanmate: n => `${n} tiles are already held by your clan`,
+    imported: n => `${n} rival tiles stay theirs: imported rides only claim unowned tiles`,
+    decayed: n => `${n} tiles were not claimed: this ride is older than they would last`,
+  }
+  return Object.entries(reasons).filter(([reason, n]) => n && text[reason]).map(([reason, n]) => text[reason](n))
+}
+
+// Why `tile` is or isn't `userId`'s under `ownership`. `sameClan` says
+// whether its holder rides in the viewer's clan.
+export function tileExplanation(tile, { userId, ownership, sameClan = false, now = Date.now() }) {
+  const mine = tile.current_owner_user_id === userId
+  const status = tileStatus(tile, now)
+  const daysLeft = tile.claimed_at ? Math.max(0, Math.ceil(DECAY_DAYS - (now - Date.parse(tile.claimed_at)) / DAY_MS)) : 0
+  if (tile.ownership_mode === 'first_claim') return mine ? 'Yours for good - you claimed it first' : 'Claimed first by another rider - it stays theirs for good'
+  if (status === 'neutral') return 'Nobody holds this tile - ride through to claim it'
+  if (ownership.mode === 'first_claim') return mine ? 'Yours - held before first-claim rules began, so it can still decay' : 'Held by another rider - under first-claim rules it stays theirs'
+  if (ownership.mode === 'most_visits') return mine
+    ? `Yours while nobody visits it more often than you in ${ownership.windowDays} days`
+    : `Theirs while they have the most visits here in the last ${ownership.windowDays} days - out-visit them to take it`
+  if (ownership.mode === 'clan_majority') return mine || sameClan
+    ? `Your clan's while it has the most visits here in the last ${ownership.windowDays} days`
+    : `Held by another clan - visit it more often than they do over ${ownership.windowDays} days to take it`
+  if (mine) return status === 'healthy'
+    ? `Yours - rivals can take it in ${daysLeft} ${daysLeft === 1 ? 'day' : 'days'} unless you ride it again`
+    : 'Yours, but rivals can take it now - ride it again to defend it'
+  return status === 'healthy'
+    ? `Theirs - unlock a route through it, or wait ${daysLeft} ${daysLeft === 1 ? 'day' : 'days'} until it goes contestable`
+    : 'Theirs, but contestable - ride through to take it'
+}
+
+// ============== SETTLING A RIDE ==============
+// What a finished ride earns. It claims its own cells plus `loop` (the area
+// it encloses) and may take rivals' tiles once its route is unlocked; imported
+// rides never unlock, steal or defend. The claim itself is only planned when
+// `existing` tile rows for those cells are given — the client leaves that to
+// the claim handler, which reads fresh rows. `ownership` defaults to the
+// rules in force for `city` when the ride ended.
+export function settleRide({ ride, rides, unlocks = [], threats = [], loop = [], existing = null, city = null, ownership = ownershipFor({ city, at: ride.ended_at }), now = Date.now() }) {
+  const progress = routeProgress(ride, rides)
+  const unlocked = !ride.imported && progress.unlocked
+  const claimCells = Array.from(new Set([...(ride.h3_cells || []), ...loop]))
+  const claim = existing && planClaim({ cells: claimCells, existing, userId: ride.user_id, activityType: ride.activity_type, claimedAt: ride.ended_at, canSteal: unlocked, imported: !!ride.imported, ownership, now })
+  const defended = ride.imported ? [] : defendedThreats(ride, threats, unlocks, RULES.ROUTE_MATCH_THRESHOLD)
+  return { matches: progress.matches, unlocked, claimCells, canSteal: unlocked, ownership, claim, defended, xp: rideXp(ride, defended.length) }
+}
+
+// ============== STREAKS ==============
+// Consecutive days with a ride, counting back from today (or yesterday, so a
+// streak isn't lost before today's ride). Days are local calendar days.
+export function streakDays(startedAts, now = Date.now()) {
+  const dayOf = (t) => { const d = new Date(t); d.setHours(0,0,0,0); return d.getTime() }
+  const days = [...new Set(startedAts.map(dayOf))].sort((a,b) => b-a)
+  let streak = 0, day = dayOf(now)
+  for (const d of days) {
+    if (day - d > DAY_MS) break
+    streak++
+    day = d
+  }
+  return streak
+}
+
+// ============== ACHIEVEMENTS ==============
+export const ACHIEVEMENTS = [
+  { id: 'first_activity', name: 'First Steps', desc: 'Complete your first activity', icon: '🎯', xp: 50, earned: s => s.activities >= 1 },
+  { id: 'explorer_100', name: 'Explorer', desc: 'Touch 100 tiles', icon: '🗺️', xp: 100, earned: s => s.tilesTouched >= 100 },
+  { id: 'conqueror_50', name: 'Conqueror', desc: 'Own 50 tiles', icon: '👑', xp: 200, earned: s => s.tilesOwned >= 50 },
+  { id: 'multi_sport', name: 'Multi-Sport', desc: 'All 3 activities', icon: '🏅', xp: 300, earned: s => s.sports >= 3 },
+  { id: 'streak_7', name: 'Week Warrior', desc: '7 day streak', icon: '🔥', xp: 250, earned: s => s.streak >= 7 },
+  { id: 'streak_30', name: 'Monthly Master', desc: '30 day streak', icon: '💎', xp: 500, earned: s => s.streak >= 30 },
+  { id: 'century', name: 'Century', desc: '100km total', icon: '💯', xp: 300, earned: s => s.distance >= 100000 },
+]
+
+// The totals achievements are judged on. Tiles touched are distinct cells
+// across rides; rides saved before their cells were stored count their total.
+export function playerStats({ rides, tiles, now = Date.now() }) {
+  const touched = new Set()
+  let legacy = 0
+  rides.forEach(r => { if (r.h3_cells?.length) r.h3_cells.forEach(c => touched.add(c)); else legacy += r.tiles_touched || 0 })
+  return {
+    activities: rides.length,
+    distance: rides.reduce((s, r) => s + (r.distance_m || 0), 0),
+    tilesTouched: touched.size + legacy,
+    tilesOwned: new Set(tiles.map(t => t.h3_index)).size,
+    sports: new Set(rides.map(r => r.activity_type)).size,
+    streak: streakDays(rides.map(r => r.started_at), now),
+  }
+}
+
+// Achievements `stats` qualify for that aren't in `unlockedIds` yet
+export const newAchievements = (stats, unlockedIds) => ACHIEVEMENTS.filter(a => !unlockedIds.includes(a.id) && a.earned(stats))
@@ -0,0 +1,212 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { latLngToCell } from 'h3-js'
+import { RULES, LEVEL_XP, levelFor, levelProgress, rideXp, routeProgress, settleRide, ownershipFor, streakDays, ACHIEVEMENTS, playerStats, newAchievements } from './engine'
+import { DECAY_DAYS } from './territory'
+import { DEFEND_XP } from './threats'
+
+const DAY_MS = 86400000
+const NOW = Date.parse('2026-10-19T12:00:00Z')
+const iso = (t) => new Date(t).toISOString()
+
+// A short line of real res-10 cells, so resolution-aware matching works
+const CELLS = Array.from({ length: 6 }, (_, i) => latLngToCell(52.52, 13.4 + i * 0.002, 10))
+
+const ride = (overrides = {}) => ({
+  id: 'r0', user_id: 'me', activity_type: 'cycling', route_signature: 'loop',
+  started_at: iso(NOW - 3600000), ended_at: iso(NOW), distance_m: 1000, duration_sec: 600, tiles_touched: 5,
+  h3_cells: CELLS, ...overrides,
+})
+
+describe('levels', () => {
+  it('starts at level 1 with no XP', () => {
+    expect(levelFor(0)).toBe(1)
+    expect(levelProgress(0)).toBe(0)
+  })
+
+  it('levels up exactly on the threshold', () => {
+    expect(levelFor(99)).toBe(1)
+    expect(levelFor(100)).toBe(2)
+    expect(levelProgress(99)).toBeCloseTo(99)
+    expect(levelProgress(100)).toBe(0)
+  })
+
+  it('stops at the top level', () => {
+    const top = LEVEL_XP[LEVEL_XP.length - 1]
+    expect(levelFor(top)).toBe(LEVEL_XP.length)
+    expect(levelFor(top * 10)).toBe(LEVEL_XP.length)
+    expect(levelProgress(top)).toBe(100)
+    expect(levelProgress(top * 10)).toBe(100)
+  })
+})
+
+describe('rideXp', () => {
+  // 1000 m, 600 s and 5 tiles make 10 + 10 + 10 base points
+  it('scales the base by the activity multiplier', () => {
+    expect(rideXp(ride())).toBe(30)
+    expect(rideXp(ride({ activity_type: 'running' }))).toBe(Math.floor(30 * RULES.XP_MULTIPLIER.running))
+    expect(rideXp(ride({ activity_type: 'hiking' }))).toBe(Math.floor(30 * RULES.XP_MULTIPLIER.hiking))
+    expect(rideXp(ride({ activity_type: 'unknown' }))).toBe(30)
+  })
+
+  it('rounds each part down', () => {
+    expect(rideXp(ride({ distance_m: 199, duration_sec: 119, tiles_touched: 0 }))).toBe(2)
+    expect(rideXp(ride({ tiles_touched: undefined }))).toBe(20)
+  })
+
+  it('adds the defend bonus without multiplying it', () => {
+    expect(rideXp(ride({ activity_type: 'hiking' }), 2)).toBe(Math.floor(30 * RULES.XP_MULTIPLIER.hiking) + 2 * DEFEND_XP)
+  })
+
+  it('gives imported rides nothing, bonus included', () => {
+    expect(rideXp(ride({ imported: true }))).toBe(0)
+    expect(rideXp(ride({ imported: true }), 3)).toBe(0)
+  })
+})
+
+describe('routeProgress', () => {
+  const earlier = (id, daysBefore, overrides = {}) => ride({ id, started_at: iso(Date.parse(ride().started_at) - daysBefore * DAY_MS), ...overrides })
+
+  it('unlocks once the threshold is reached inside the window', () => {
+    expect(routeProgress(ride(), [earlier('a', 1)])).toMatchObject({ count: 2, unlocked: false })
+    const progress = routeProgress(ride(), [earlier('a', 1), earlier('b', 2)])
+    expect(progress).toMatchObject({ count: RULES.UNLOCK_THRESHOLD, unlocked: true })
+    expect(progress.matches.map(r => r.id)).toEqual(['a', 'b'])
+  })
+
+  it('counts a ride exactly at the window start but not before it', () => {
+    const edge = routeProgress(ride(), [earlier('a', 1), earlier('b', RULES.UNLOCK_WINDOW_DAYS)])
+    expect(edge.unlocked).toBe(true)
+    const outside = routeProgress(ride(), [earlier('a', 1), earlier('b', RULES.UNLOCK_WINDOW_DAYS + 1 / DAY_MS)])
+    expect(outside.unlocked).toBe(false)
+  })
+
+  it('ignores the ride itself, later rides and other activities', () => {
+    const rides = [ride(), earlier('later', -1), earlier('a', 1, { activity_type: 'running' }), earlier('b', 2)]
+    expect(routeProgress(ride(), rides)).toMatchObject({ count: 2, unlocked: false })
+  })
+
+  it('matches by cell overlap when signatures differ', () => {
+    const similar = earlier('a', 1, { route_signature: 'other', h3_cells: CELLS.slice(0, 5) })
+    const different = earlier('b', 2, { route_signature: 'other', h3_cells: CELLS.slice(0, 2) })
+    expect(routeProgress(ride(), [similar, different]).matches.map(r => r.id)).toEqual(['a'])
+  })
+})
+
+describe('settleRide', () => {
+  const rival = (h3, daysAgo) => ({ h3_index: h3, current_owner_user_id: 'rival', activity_type: 'cycling', claimed_at: iso(NOW - daysAgo * DAY_MS), strength: 1 })
+  const onRoute = [ride({ id: 'a', started_at: iso(NOW - 2 * DAY_MS) }), ride({ id: 'b', started_at: iso(NOW - 3 * DAY_MS) })]
+
+  it('leaves the claim to the caller without existing rows', () => {
+    const settled = settleRide({ ride: ride(), rides: [], loop: [CELLS[0], 'extra'], now: NOW })
+    expect(settled.claim).toBeNull()
+    expect(settled.claimCells).toEqual([...CELLS, 'extra'])
+    expect(settled).toMatchObject({ unlocked: false, canSteal: false, xp: 30 })
+  })
+
+  it('takes healthy rival tiles only once the route is unlocked', () => {
+    const existing = [rival(CELLS[0], 1)]
+    expect(settleRide({ ride: ride(), rides: [], existing, now: NOW }).claim).toMatchObject({ stolen: 0, new: CELLS.length - 1 })
+    const unlocked = settleRide({ ride: ride(), rides: onRoute, existing, now: NOW })
+    expect(unlocked.unlocked).toBe(true)
+    expect(unlocked.claim).toMatchObject({ stolen: 1, new: CELLS.length - 1 })
+  })
+
+  it('never unlocks, steals or defends on an imported ride', () => {
+    const imported = ride({ imported: true })
+    const threats = [{ id: 't', status: 'active', activity_type: 'cycling', route_signature: 'loop', expires_at: iso(NOW + DAY_MS) }]
+    const settled = settleRide({ ride: imported, rides: onRoute, threats, existing: [{ ...rival(CELLS[0], DECAY_DAYS + 1), strength: 2 }], now: NOW })
+    expect(settled).toMatchObject({ unlocked: false, canSteal: false, defended: [], xp: 0 })
+    expect(settled.claim).toMatchObject({ stolen: 0, reasons: { imported: 1 } })
+  })
+
+  it('defends active threats on the route and pays the bonus', () => {
+    const threats = [{ id: 't', status: 'active', activity_type: 'cycling', route_signature: 'loop', expires_at: iso(NOW + DAY_MS) }]
+    const settled = settleRide({ ride: ride(), rides: [], threats, now: NOW })
+    expect(settled.defended.map(t => t.id)).toEqual(['t'])
+    expect(settled.xp).toBe(30 + DEFEND_XP)
+  })
+})
+
+describe('ownershipFor', () => {
+  const saved = structuredClone(RULES.OWNERSHIP)
+  afterEach(() => { RULES.OWNERSHIP = structuredClone(saved) })
+
+  it('falls back to the default with the decay window', () => {
+    expect(ownershipFor({ city: 'Berlin', at: NOW })).toEqual({ mode: 'last_visit', windowDays: DECAY_DAYS, season: null })
+  })
+
+  it('prefers a season covering the time over the city', () => {
+    RULES.OWNERSHIP.cities = { Berlin: { mode: 'most_visits', windowDays: 14 } }
+    RULES.OWNERSHIP.seasons = [{ name: 'Winter', from: '2026-12-01', to: '2027-03-01', mode: 'clan_majority', windowDays: 30 }]
+    expect(ownershipFor({ city: 'Berlin', at: NOW })).toEqual({ mode: 'most_visits', windowDays: 14, season: null })
+    expect(ownershipFor({ city: 'Paris', at: NOW })).toMatchObject({ mode: 'last_visit' })
+    expect(ownershipFor({ city: 'Berlin', at: '2026-12-01T00:00:00Z' })).toEqual({ mode: 'clan_majority', windowDays: 30, season: 'Winter' })
+    expect(ownershipFor({ city: 'Berlin', at: '2027-03-01T00:00:00Z' })).toMatchObject({ mode: 'most_visits', season: null })
+  })
+})
+
+describe('streakDays', () => {
+  // Local calendar times, as the streak counts local days
+  const today = new Date(2026, 9, 19, 12).getTime()
+  const at = (daysAgo, hour) => new Date(2026, 9, 19 - daysAgo, hour, hour === 23 ? 50 : 10).getTime()
+
+  it('is zero without rides or once a full day is missed', () => {
+    expect(streakDays([], today)).toBe(0)
+    expect(streakDays([at(2, 9)], today)).toBe(0)
+  })
+
+  it("counts from yesterday so today's ride isn't needed yet", () => {
+    expect(streakDays([at(1, 9), at(2, 9)], today)).toBe(2)
+    expect(streakDays([at(0, 9), at(1, 9), at(2, 9)], today)).toBe(3)
+  })
+
+  it('counts rides either side of midnight as two days, and one day once', () => {
+    expect(streakDays([at(1, 23), at(0, 0)], today)).toBe(2)
+    expect(streakDays([at(0, 0), at(0, 9), at(0, 23)], today)).toBe(1)
+  })
+
+  it('stops at a skipped day', () => {
+    expect(streakDays([at(0, 9), at(1, 9), at(3, 9), at(4, 9)], today)).toBe(2)
+  })
+})
+
+describe('achievements', () => {
+  const base = { activities: 0, distance: 0, tilesTouched: 0, tilesOwned: 0, sports: 0, streak: 0 }
+  const edges = {
+    first_activity: ['activities', 1],
+    explorer_100: ['tilesTouched', 100],
+    conqueror_50: ['tilesOwned', 50],
+    multi_sport: ['sports', 3],
+    streak_7: ['streak', 7],
+    streak_30: ['streak', 30],
+    century: ['distance', 100000],
+  }
+
+  it('covers every achievement', () => {
+    expect(ACHIEVEMENTS.map(a => a.id).sort()).toEqual(Object.keys(edges).sort())
+  })
+
+  ACHIEVEMENTS.forEach(a => it(`${a.id} is earned exactly at its threshold`, () => {
+    const [stat, threshold] = edges[a.id]
+    expect(a.earned({ ...base, [stat]: threshold - 1 })).toBe(false)
+    expect(a.earned({ ...base, [stat]: threshold })).toBe(true)
+  }))
+
+  it('only lists achievements not yet unlocked', () => {
+    const stats = { ...base, activities: 1, streak: 7 }
+    expect(newAchievements(stats, []).map(a => a.id)).toEqual(['first_activity', 'streak_7'])
+    expect(newAchievements(stats, ['first_activity']).map(a => a.id)).toEqual(['streak_7'])
+  })
+
+  it('builds stats from rides and tiles', () => {
+    const rides = [
+      ride({ started_at: iso(NOW - DAY_MS), distance_m: 60000 }),
+      ride({ activity_type: 'running', h3_cells: CELLS.slice(0, 2), started_at: iso(NOW), distance_m: 40000 }),
+      ride({ activity_type: 'hiking', h3_cells: [], tiles_touched: 4, started_at: iso(NOW) }),
+    ]
+    const tiles = [{ h3_index: CELLS[0] }, { h3_index: CELLS[0] }, { h3_index: CELLS[1] }]
+    expect(playerStats({ rides, tiles, now: NOW })).toMatchObject({
+      activities: 3, distance: 101000, tilesTouched: CELLS.length + 4, tilesOwned: 2, sports: 3,
+    })
+  })
+})
@@ -0,0 +1,25 @@
+import { getUserRides } from './supabase'
+import { trackCells, thinTrack, cellsAtResolution } from './geo'
+
+// ============== EXPLORATION ==============
+// Every point the rider has recorded (for the heatmap) and every cell they
+// have visited (for the fog of war), read page by page from stored tracks.
+// Visited cells are at `resolution` whatever each activity tiles at.
+
+const PAGE_SIZE = 50
+const HEAT_STEP_METERS = 15 // points closer than this add nothing visible to the heatmap
+
+export async function loadExploration(userId, { resolution, maxGapFill }) {
+  const points = [], visited = new Set()
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await getUserRides(userId, PAGE_SIZE, { withTracks: true, offset })
+    if (error) return { points, visited, error }
+    for (const ride of data) {
+      // Rides saved before their cells were stored are tiled from the track
+      const cells = ride.h3_cells?.length ? cellsAtResolution(ride.h3_cells, resolution) : trackCells(ride.track, resolution, maxGapFill)
+      cells.forEach(c => visited.add(c))
+      thinTrack(ride.track, HEAT_STEP_METERS).forEach(p => points.push([p.lng, p.lat]))
+    }
+    if (data.length < PAGE_SIZE) return { points, visited, error: null }
+  }
+}
@@ -0,0 +1,118 @@
+import { getUserRides, getRideTrack } from './supabase'
+import { EXPORT_FORMATS } from './formats'
+
+// ============== DOWNLOADS ==============
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+const rideFilename = (ride, format) =>
+  `${ride.started_at.slice(0, 19).replace(/[:T]/g, '-')}-${ride.activity_type}.${EXPORT_FORMATS[format].ext}`
+
+// Uses ride.track when present (e.g. a ride that has not synced yet),
+// otherwise fetches the stored track
+export async function downloadRide(ride, format) {
+  let track = ride.track
+  if (!track?.length) {
+    const { data, error } = await getRideTrack(ride.id)
+    if (error) return { error }
+    track = data
+  }
+  if (!track?.length) return { error: new Error('No GPS track stored for this ride') }
+  const { mime, write } = EXPORT_FORMATS[format]
+  downloadBlob(new Blob([write(ride, track)], { type: mime }), rideFilename(ride, format))
+  return { error: null }
+}
+
+// ============== BULK EXPORT ==============
+const PAGE_SIZE = 50
+
+// Every ride with a stored track, zipped; rides recorded before tracks were
+// kept are skipped and counted
+export async function exportAllRides(userId, format, onProgress = () => {}) {
+  const files = []
+  let skipped = 0
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await getUserRides(userId, PAGE_SIZE, { withTracks: true, offset })
+    if (error) return { error }
+    for (const ride of data) {
+      if (!ride.track.length) { skipped++; continue }
+      files.push({ name: rideFilename(ride, format), content: EXPORT_FORMATS[format].write(ride, ride.track) })
+    }
+    onProgress(files.length + skipped)
+    if (data.length < PAGE_SIZE) break
+  }
+  if (files.length) downloadBlob(zipFiles(files), `territorytrack-rides-${format}.zip`)
+  return { count: files.length, skipped, error: null }
+}
+
+// ============== ZIP ==============
+// Uncompressed (stored) ZIP archive; track files are small and this avoids
+// pulling in a compression library.
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+  return c >>> 0
+})
+
+const crc32 = (bytes) => {
+  let c = 0xFFFFFFFF
+  for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xFF] ^ (c >>> 8)
+  return (c ^ 0xFFFFFFFF) >>> 0
+}
+
+const dosDateTime = (d) => [
+  (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+  ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+]
+
+export function zipFiles(files) {
+  const enc = new TextEncoder()
+  const [time, date] = dosDateTime(new Date())
+  const parts = [], central = []
+  let offset = 0
+
+  for (const file of files) {
+    const name = enc.encode(file.name), data = enc.encode(file.content), crc = crc32(data)
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(4, 20, true)
+    local.setUint16(6, 0x0800, true) // UTF-8 names
+    local.setUint16(10, time, true)
+    local.setUint16(12, date, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, name.length, true)
+    parts.push(local, name, data)
+
+    const entry = new DataView(new ArrayBuffer(46))
+    entry.setUint32(0, 0x02014b50, true)
+    entry.setUint16(4, 20, true)
+    entry.setUint16(6, 20, true)
+    entry.setUint16(8, 0x0800, true)
+    entry.setUint16(12, time, true)
+    entry.setUint16(14, date, true)
+    entry.setUint32(16, crc, true)
+    entry.setUint32(20, data.length, true)
+    entry.setUint32(24, data.length, true)
+    entry.setUint16(28, name.length, true)
+    entry.setUint32(42, offset, true)
+    central.push(entry, name)
+    offset += 30 + name.length + data.length
+  }
+
+  const centralSize = central.reduce((s, p) => s + p.byteLength, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+  return new Blob([...parts, ...central, end], { type: 'application/zip' })
+}
@@ -0,0 +1,236 @@
+// ============== GPX ==============
+// Track points from a GPX document as fixes { lat, lng, ts, acc, alt }.
+// Tracks without a <time> on every point are rejected: inventing timestamps
+// would make up the speed, the duration and the day the tiles were claimed.
+export function parseGpx(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length) throw new Error('Invalid GPX file')
+  const nodes = [...doc.getElementsByTagName('trkpt'), ...doc.getElementsByTagName('rtept')]
+  return nodes.map(n => {
+    const time = n.getElementsByTagName('time')[0]?.textContent
+    if (!time) throw new Error('GPX file has points without timestamps')
+    const ele = n.getElementsByTagName('ele')[0]?.textContent
+    return {
+      lat: parseFloat(n.getAttribute('lat')),
+      lng: parseFloat(n.getAttribute('lon')),
+      ts: Date.parse(time),
+      acc: null,
+      alt: ele != null ? parseFloat(ele) : null,
+    }
+  })
+}
+
+// ============== TCX ==============
+export function parseTcx(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length) throw new Error('Invalid TCX file')
+  const textOf = (n, tag) => n.getElementsByTagName(tag)[0]?.textContent
+  const points = [...doc.getElementsByTagName('Trackpoint')]
+    .filter(n => textOf(n, 'LatitudeDegrees') != null)
+    .map(n => {
+      const alt = textOf(n, 'AltitudeMeters')
+      return {
+        lat: parseFloat(textOf(n, 'LatitudeDegrees')),
+        lng: parseFloat(textOf(n, 'LongitudeDegrees')),
+        ts: Date.parse(textOf(n, 'Time')),
+        acc: null,
+        alt: alt != null ? parseFloat(alt) : null,
+      }
+    })
+  const sport = doc.getElementsByTagName('Activity')[0]?.getAttribute('Sport')
+  return { points, activityType: activityFromName(sport) }
+}
+
+// ============== FIT ==============
+// Just enough of the FIT protocol to read `record` positions and the sport
+// from `session`/`sport` messages. Developer fields are skipped.
+const FIT_EPOCH_MS = 631065600000 // 1989-12-31T00:00:00Z
+const SEMICIRCLES = 180 / 2 ** 31
+const FIT_RECORD = 20, FIT_SESSION = 18, FIT_SPORT = 12
+const FIT_SPORTS = { 1: 'running', 2: 'cycling', 11: 'hiking', 17: 'hiking' }
+// Base type number -> [size, reader, invalid value]
+const FIT_TYPES = {
+  0x00: [1, 'getUint8', 0xFF], 0x01: [1, 'getInt8', 0x7F], 0x02: [1, 'getUint8', 0xFF],
+  0x83: [2, 'getInt16', 0x7FFF], 0x84: [2, 'getUint16', 0xFFFF], 0x85: [4, 'getInt32', 0x7FFFFFFF],
+  0x86: [4, 'getUint32', 0xFFFFFFFF], 0x0A: [1, 'getUint8', 0], 0x8B: [2, 'getUint16', 0],
+  0x8C: [4, 'getUint32', 0],
+}
+
+export function parseFit(buffer) {
+  const view = new DataView(buffer)
+  if (buffer.byteLength < 12 || String.fromCharCode(...new Uint8Array(buffer, 8, 4)) !== '.FIT') throw new Error('Invalid FIT file')
+  const headerSize = view.getUint8(0)
+  const end = Math.min(headerSize + view.getUint32(4, true), buffer.byteLength)
+  const defs = {}, points = []
+  let pos = headerSize, lastTs = null, sport = null
+
+  // Scalar fields only; arrays, strings and unknown types read as null
+  const readField = (f, at, little) => {
+    const [size, reader, invalid] = FIT_TYPES[f.type] || []
+    if (size !== f.size) return null
+    const v = view[reader](at, little)
+    return v === invalid ? null : v
+  }
+
+  while (pos < end) {
+    const header = view.getUint8(pos++)
+    let local, ts = null
+    if (header & 0x80) {
+      // Compressed timestamp header: 5-bit offset from the last timestamp,
+      // which it then replaces so offsets keep counting forward past a wrap
+      local = (header >> 5) & 0x03
+      const offset = header & 0x1F
+      if (lastTs != null) ts = lastTs = lastTs + ((offset - (lastTs & 0x1F)) & 0x1F)
+    } else if (header & 0x40) {
+      local = header & 0x0F
+      const little = view.getUint8(pos + 1) === 0
+      const global = view.getUint16(pos + 2, little)
+      const count = view.getUint8(pos + 4)
+      pos += 5
+      const fields = []
+      for (let i = 0; i < count; i++, pos += 3) fields.push({ num: view.getUint8(pos), size: view.getUint8(pos + 1), type: view.getUint8(pos + 2) })
+      let devSize = 0
+      if (header & 0x20) {
+        const devCount = view.getUint8(pos++)
+        for (let i = 0; i < devCount; i++, pos += 3) devSize += view.getUint8(pos + 1)
+      }
+      defs[local] = { global, little, fields, devSize }
+      continue
+    } else {
+      local = header & 0x0F
+    }
+
+    const def = defs[local]
+    if (!def) throw new Error('Invalid FIT file')
+    const values = {}
+    for (const f of def.fields) {
+      values[f.num] = readField(f, pos, def.little)
+      pos += f.size
+    }
+    pos += def.devSize
+    if (values[253] != null) ts = lastTs = values[253]
+
+    if (def.global === FIT_RECORD && values[0] != null && values[1] != null && ts != null) {
+      const alt = values[78] ?? values[2]
+      points.push({
+        lat: values[0] * SEMICIRCLES,
+        lng: values[1] * SEMICIRCLES,
+        ts: FIT_EPOCH_MS + ts * 1000,
+        acc: null,
+        alt: alt != null ? alt / 5 - 500 : null,
+      })
+    } else if (def.global === FIT_SESSION && values[5] != null) {
+      sport = values[5]
+    } else if (def.global === FIT_SPORT && values[0] != null && sport == null) {
+      sport = values[0]
+    }
+  }
+  return { points, activityType: FIT_SPORTS[sport] || null }
+}
+
+// ============== IMPORT ==============
+export const activityFromName = (name) => {
+  if (!name) return null
+  if (/bik|cycl|ride/i.test(name)) return 'cycling'
+  if (/run/i.test(name)) return 'running'
+  if (/hik|walk|trek/i.test(name)) return 'hiking'
+  return null
+}
+
+export const IMPORT_EXTENSIONS = ['.gpx', '.tcx', '.fit']
+
+// Reads a GPX, TCX or FIT File into { points, activityType } sorted by time.
+// activityType is null when the file does not say.
+export async function readActivityFile(file) {
+  const ext = file.name.slice(file.name.lastIndexOf('.')).toLowerCase()
+  let result
+  if (ext === '.fit') {
+    result = parseFit(await file.arrayBuffer())
+  } else if (ext === '.tcx') {
+    result = parseTcx(await file.text())
+  } else if (ext === '.gpx') {
+    const text = await file.text()
+    const doc = new DOMParser().parseFromString(text, 'application/xml')
+    result = { points: parseGpx(text), activityType: activityFromName(doc.getElementsByTagName('type')[0]?.textContent) }
+  } else {
+    throw new Error(`Unsupported file type ${ext || file.name}`)
+  }
+  const points = result.points.filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lng) && Number.isFinite(p.ts)).sort((a, b) => a.ts - b.ts)
+  return { ...result, points }
+}
+
+// ============== EXPORT ==============
+// Writers take a ride row and its decoded track ({ lat, lng, ts, alt }).
+const escapeXml = (s) => String(s).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]))
+const iso = (ts) => new Date(ts).toISOString()
+const rideName = (ride) => `${ride.activity_type[0].toUpperCase()}${ride.activity_type.slice(1)} ${new Date(ride.started_at).toLocaleDateString()}`
+
+export function toGpx(ride, points) {
+  const pts = points.map(p =>
+    `      <trkpt lat="${p.lat}" lon="${p.lng}">${p.alt != null ? `<ele>${p.alt}</ele>` : ''}<time>${iso(p.ts)}</time></trkpt>`
+  ).join('\n')
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="TerritoryTrack" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><time>${iso(ride.started_at)}</time></metadata>
+  <trk>
+    <name>${escapeXml(rideName(ride))}</name>
+    <type>${escapeXml(ride.activity_type)}</type>
+    <trkseg>
+${pts}
+    </trkseg>
+  </trk>
+</gpx>
+`
+}
+
+const TCX_SPORTS = { cycling: 'Biking', running: 'Running' }
+
+export function toTcx(ride, points) {
+  const pts = points.map(p =>
+    `          <Trackpoint><Time>${iso(p.ts)}</Time><Position><LatitudeDegrees>${p.lat}</LatitudeDegrees><LongitudeDegrees>${p.lng}</LongitudeDegrees></Position>${p.alt != null ? `<AltitudeMeters>${p.alt}</AltitudeMeters>` : ''}</Trackpoint>`
+  ).join('\n')
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">
+  <Activities>
+    <Activity Sport="${TCX_SPORTS[ride.activity_type] || 'Other'}">
+      <Id>${iso(ride.started_at)}</Id>
+      <Lap StartTime="${iso(ride.started_at)}">
+        <TotalTimeSeconds>${ride.duration_sec || 0}</TotalTimeSeconds>
+        <DistanceMeters>${ride.distance_m || 0}</DistanceMeters>
+        <Calories>0</Calories>
+        <Intensity>Active</Intensity>
+        <TriggerMethod>Manual</TriggerMethod>
+        <Track>
+${pts}
+        </Track>
+      </Lap>
+    </Activity>
+  </Activities>
+</TrainingCenterDatabase>
+`
+}
+
+// A LineString Feature; per-point times go in `coordTimes` as most GIS tools expect
+export function toGeoJson(ride, points) {
+  return JSON.stringify({
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates: points.map(p => p.alt != null ? [p.lng, p.lat, p.alt] : [p.lng, p.lat]) },
+    properties: {
+      id: ride.id,
+      name: rideName(ride),
+      activity_type: ride.activity_type,
+      started_at: ride.started_at,
+      ended_at: ride.ended_at,
+      duration_sec: ride.duration_sec,
+      distance_m: ride.distance_m,
+      tiles_touched: ride.tiles_touched,
+      coordTimes: points.map(p => iso(p.ts)),
+    },
+  }, null, 2)
+}
+
+export const EXPORT_FORMATS = {
+  gpx: { name: 'GPX', ext: 'gpx', mime: 'application/gpx+xml', write: toGpx },
+  tcx: { name: 'TCX', ext: 'tcx', mime: 'application/vnd.garmin.tcx+xml', write: toTcx },
+  geojson: { name: 'GeoJSON', ext: 'geojson', mime: 'application/geo+json', write: toGeoJson },
+}
@@ -0,0 +1,269 @@
+import { latLngToCell, cellToLatLng, cellToParent, cellToChildren, getResolution, gridPathCells, gridDisk, polygonToCells, cellsToMultiPolygon, cellToBoundary, cellArea, getHexagonEdgeLengthAvg, UNITS } from 'h3-js'
+
+// ============== DISTANCE ==============
+export const haversine = (lat1, lon1, lat2, lon2) => {
+  const R = 6371000, toRad = x => x * Math.PI / 180
+  const dLat = toRad(lat2 - lat1), dLon = toRad(lon2 - lon1)
+  const a = Math.sin(dLat/2)**2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon/2)**2
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a))
+}
+
+// ============== H3 PATHS ==============
+// Cells crossed travelling in a straight line between two fixes, in order,
+// endpoints included. Uses the H3 grid path and falls back to sampling the
+// segment at half an edge length where the grid path is undefined (pentagons,
+// icosahedron face changes). Both are pure functions of the inputs, so the
+// same track always yields the same cells.
+export function pathCells(from, to, res) {
+  const a = latLngToCell(from.lat, from.lng, res)
+  const b = latLngToCell(to.lat, to.lng, res)
+  if (a === b) return [a]
+  try {
+    return gridPathCells(a, b)
+  } catch {
+    return sampleCells(from, to, res)
+  }
+}
+
+// Every cell a stored track crosses, the same way the tracker counts them
+// live: consecutive fixes further apart than `maxGapFill` are not joined.
+export function trackCells(points, res, maxGapFill) {
+  const cells = new Set()
+  points.forEach((p, i) => {
+    const prev = points[i - 1]
+    const crossed = prev && haversine(prev.lat, prev.lng, p.lat, p.lng) <= maxGapFill ? pathCells(prev, p, res) : [latLngToCell(p.lat, p.lng, res)]
+    crossed.forEach(c => cells.add(c))
+  })
+  return cells
+}
+
+const sampleCells = (from, to, res) => {
+  const step = getHexagonEdgeLengthAvg(res, UNITS.m) / 2
+  const dLat = to.lat - from.lat, dLng = to.lng - from.lng
+  const approxMeters = Math.hypot(dLat * 111320, dLng * 111320 * Math.cos(from.lat * Math.PI / 180))
+  const n = Math.max(1, Math.ceil(approxMeters / step))
+  const cells = []
+  for (let i = 0; i <= n; i++) {
+    const cell = latLngToCell(from.lat + dLat * i / n, from.lng + dLng * i / n, res)
+    if (cells[cells.length - 1] !== cell) cells.push(cell)
+  }
+  return cells
+}
+
+// ============== RESOLUTIONS ==============
+// Activities can tile at different resolutions. To compare or merge cell sets
+// they are re-expressed at one resolution: finer cells become their parent,
+// coarser cells all of their children.
+export function cellsAtResolution(cells, res) {
+  const out = new Set()
+  for (const c of cells) {
+    const r = getResolution(c)
+    if (r === res) out.add(c)
+    else if (r > res) out.add(cellToParent(c, res))
+    else cellToChildren(c, res).forEach(child => out.add(child))
+  }
+  return out
+}
+
+// Both collections at the coarser of their resolutions, as Sets. Coarsening
+// never invents coverage the finer set doesn't have.
+export function atCoarserResolution(a, b) {
+  const first = (cells) => { for (const c of cells) return c }
+  const ca = first(a), cb = first(b)
+  if (!ca || !cb || getResolution(ca) === getResolution(cb)) return [new Set(a), new Set(b)]
+  const res = Math.min(getResolution(ca), getResolution(cb))
+  return [cellsAtResolution(a, res), cellsAtResolution(b, res)]
+}
+
+// Territory size in cells of `res`, over every sport's tiles merged (a cell
+// held in two sports counts once) and per sport, so the total and the
+// per-sport breakdown are in the same unit
+export function territoryCounts(tiles, res) {
+  const bySport = {}
+  for (const t of tiles) (bySport[t.activity_type] ||= []).push(t.h3_index)
+  for (const sport in bySport) bySport[sport] = cellsAtResolution(bySport[sport], res).size
+  return { total: cellsAtResolution(tiles.map(t => t.h3_index), res).size, bySport }
+}
+
+// ============== PARENTS ==============
+// Tile rows also store their parent at this coarser resolution so a map
+// viewport can be loaded a few hundred parent cells at a time
+export const TILE_PARENT_RES = 7
+export const MAX_TILE_RES = 15
+
+// Tiles must be finer than their parent resolution for that index to work
+export const isTileResolution = (res) => Number.isInteger(res) && res > TILE_PARENT_RES && res <= MAX_TILE_RES
+
+export const tileParent = (h3) => cellToParent(h3, TILE_PARENT_RES)
+
+// Parent cells covering a [west, south, east, north] box, padded by one ring
+// so cells whose centre lies just outside the box are included
+export function boundsParents([west, south, east, north]) {
+  const box = [[south, west], [south, east], [north, east], [north, west]]
+  const parents = new Set(polygonToCells(box, TILE_PARENT_RES))
+  parents.add(latLngToCell((south + north) / 2, (west + east) / 2, TILE_PARENT_RES))
+  Array.from(parents).forEach(p => gridDisk(p, 1).forEach(n => parents.add(n)))
+  return Array.from(parents)
+}
+
+// ============== LEVEL OF DETAIL ==============
+// Zoomed out, owned cells are drawn as coarser H3 parents: one resolution per
+// zoom level below 13, down to four levels above `res`.
+export const lodResolution = (zoom, res) => Math.min(res, Math.max(res - 4, Math.floor(zoom) - 3))
+
+// FeatureCollection of `cells` at `lodRes`. Each feature's `share` is how much
+// of the parent is owned, eased so thin routes stay visible from afar.
+export function lodFeatures(cells, lodRes, res) {
+  const feature = (h3, share) => ({ type: 'Feature', properties: { share }, geometry: { type: 'Polygon', coordinates: [cellToBoundary(h3, true)] } })
+  if (lodRes >= res) return { type: 'FeatureCollection', features: cells.map(c => feature(c, 1)) }
+  const counts = new Map()
+  cells.forEach(c => { const p = cellToParent(c, lodRes); counts.set(p, (counts.get(p) || 0) + 1) })
+  const children = 7 ** (res - lodRes)
+  return { type: 'FeatureCollection', features: Array.from(counts, ([p, n]) => feature(p, Math.min(1, 0.3 + 0.7 * Math.sqrt(n / children)))) }
+}
+
+// ============== EXPLORATION ==============
+// Cells at `lodRes` in a [west, south, east, north] box that contain none of
+// the `visited` cells (given at `res`), with the number of cells in view.
+// Returns null when the box holds more than `max` cells.
+export function fogCells([west, south, east, north], visited, lodRes, res, max = 5000) {
+  const inView = polygonToCells([[south, west], [south, east], [north, east], [north, west]], lodRes)
+  if (inView.length > max) return null
+  const seen = lodRes >= res ? visited : new Set(Array.from(visited, c => cellToParent(c, lodRes)))
+  return { cells: inView.filter(c => !seen.has(c)), total: inView.length }
+}
+
+// Cells of `res` whose centres fall inside a GeoJSON Polygon or MultiPolygon
+// geometry, holes excluded
+export function geometryCells(geometry, res) {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : geometry.type === 'Polygon' ? [geometry.coordinates] : []
+  const cells = new Set()
+  polygons.forEach(rings => polygonToCells(rings, res, true).forEach(c => cells.add(c)))
+  return cells
+}
+
+// Whether the point lies inside a GeoJSON Polygon or MultiPolygon geometry,
+// holes excluded. Even-odd ray casting in plain degrees, which is plenty for
+// boundaries that don't cross the antimeridian.
+export function geometryContains(geometry, lat, lng) {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : geometry.type === 'Polygon' ? [geometry.coordinates] : []
+  const inRing = (ring) => {
+    let inside = false
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i], [xj, yj] = ring[j]
+      if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside
+    }
+    return inside
+  }
+  return polygons.some(([outer, ...holes]) => inRing(outer) && !holes.some(inRing))
+}
+
+// ============== LOOPS ==============
+// Closed parts of a track, each a ring of {lat, lng} points: the whole track
+// when it finishes within `closeDistance` of its start, otherwise every
+// stretch that crosses back over itself. The track is thinned first so GPS
+// jitter while standing still doesn't register as tiny loops.
+export function trackLoops(points, closeDistance, step = 20) {
+  const pts = thinTrack(points, step)
+  if (pts.length < 4) return []
+  const first = pts[0], last = pts[pts.length - 1]
+  if (haversine(first.lat, first.lng, last.lat, last.lng) <= closeDistance) return [pts]
+  const loops = []
+  let from = 0
+  for (let j = 2; j < pts.length - 1; j++) {
+    for (let i = from; i < j - 1; i++) {
+      const x = intersection(pts[i], pts[i + 1], pts[j], pts[j + 1])
+      if (x) { loops.push([x, ...pts.slice(i + 1, j + 1)]); from = j + 1; break }
+    }
+  }
+  return loops
+}
+
+// Cells whose centres fall inside the loops. Loops larger than `maxArea`
+// (m²) are skipped and only counted in `tooLarge`.
+export function loopCells(loops, res, maxArea) {
+  const cells = new Set(), rings = []
+  let tooLarge = 0
+  for (const ring of loops) {
+    if (ringArea(ring) > maxArea) { tooLarge++; continue }
+    polygonToCells(ring.map(p => [p.lat, p.lng]), res).forEach(c => cells.add(c))
+    rings.push(ring)
+  }
+  return { cells, rings, tooLarge }
+}
+
+// Planar area of a ring in m², projected around its first point
+export function ringArea(ring) {
+  const { lat: lat0, lng: lng0 } = ring[0], kx = 111320 * Math.cos(lat0 * Math.PI / 180)
+  let sum = 0
+  ring.forEach((p, i) => {
+    const q = ring[(i + 1) % ring.length]
+    sum += (p.lng - lng0) * kx * (q.lat - lat0) * 111320 - (q.lng - lng0) * kx * (p.lat - lat0) * 111320
+  })
+  return Math.abs(sum) / 2
+}
+
+// Drops points closer than `step` metres to the last one kept
+export const thinTrack = (points, step) => {
+  const out = []
+  points.forEach((p, i) => {
+    const prev = out[out.length - 1]
+    if (!prev || i === points.length - 1 || haversine(prev.lat, prev.lng, p.lat, p.lng) >= step) out.push(p)
+  })
+  return out
+}
+
+// Where segments ab and cd cross, or null. Lat/lng are treated as planar,
+// which is plenty at the scale of a single loop.
+const intersection = (a, b, c, d) => {
+  const r = { lat: b.lat - a.lat, lng: b.lng - a.lng }, s = { lat: d.lat - c.lat, lng: d.lng - c.lng }
+  const denom = r.lng * s.lat - r.lat * s.lng
+  if (denom === 0) return null
+  const t = ((c.lng - a.lng) * s.lat - (c.lat - a.lat) * s.lng) / denom
+  const u = ((c.lng - a.lng) * r.lat - (c.lat - a.lat) * r.lng) / denom
+  if (t < 0 || t > 1 || u < 0 || u > 1) return null
+  return { lat: a.lat + t * r.lat, lng: a.lng + t * r.lng }
+}
+
+// ============== REGIONS ==============
+// Groups cells into contiguous regions (cells sharing an edge), largest
+// first. Each region carries its outline as GeoJSON MultiPolygon coordinates,
+// area in km², perimeter in metres (holes included), centroid and bounds.
+export function cellRegions(cells) {
+  const remaining = new Set(cells), regions = []
+  for (const start of cells) {
+    if (!remaining.has(start)) continue
+    remaining.delete(start)
+    const members = [start]
+    for (let i = 0; i < members.length; i++) {
+      gridDisk(members[i], 1).forEach(n => { if (remaining.has(n)) { remaining.delete(n); members.push(n) } })
+    }
+    regions.push(describeRegion(members))
+  }
+  return regions.sort((a, b) => b.area - a.area)
+}
+
+const describeRegion = (cells) => {
+  const coordinates = cellsToMultiPolygon(cells, true)
+  const perimeter = coordinates.flat().reduce((sum, ring) => sum + ring.slice(1).reduce((d, [lng, lat], i) => d + haversine(ring[i][1], ring[i][0], lat, lng), 0), 0)
+  const centers = cells.map(c => cellToLatLng(c))
+  const lats = centers.map(([lat]) => lat), lngs = centers.map(([, lng]) => lng)
+  return {
+    id: cells[0],
+    cells,
+    coordinates,
+    area: cells.reduce((sum, c) => sum + cellArea(c, UNITS.km2), 0),
+    perimeter,
+    centroid: { lat: lats.reduce((a, b) => a + b, 0) / lats.length, lng: lngs.reduce((a, b) => a + b, 0) / lngs.length },
+    bounds: [[Math.min(...lngs), Math.min(...lats)], [Math.max(...lngs), Math.max(...lats)]],
+  }
+}
+
+// Point reached from `from` after `meters` along `bearing` (degrees from north)
+export const destination = (from, bearing, meters) => {
+  const toRad = x => x * Math.PI / 180, toDeg = x => x * 180 / Math.PI
+  const lat1 = toRad(from.lat), lng1 = toRad(from.lng), brng = toRad(bearing), d = meters / 6371000
+  const lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) + Math.cos(lat1) * Math.sin(d) * Math.cos(brng))
+  const lng2 = lng1 + Math.atan2(Math.sin(brng) * Math.sin(d) * Math.cos(lat1), Math.cos(d) - Math.sin(lat1) * Math.sin(lat2))
+  return { lat: toDeg(lat2), lng: toDeg(lng2) }
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest'
+import { latLngToCell, cellToParent, cellToChildren, getResolution } from 'h3-js'
+import { cellsAtResolution, atCoarserResolution, territoryCounts, isTileResolution, tileParent, geometryContains, TILE_PARENT_RES } from './geo'
+import { jaccard } from './routes'
+
+// A short line of real res-10 cells
+const FINE = Array.from({ length: 6 }, (_, i) => latLngToCell(52.52, 13.4 + i * 0.002, 10))
+const COARSE = [...new Set(FINE.map(c => cellToParent(c, 9)))]
+
+describe('cellsAtResolution', () => {
+  it('leaves cells already at the resolution alone', () => {
+    expect(cellsAtResolution(FINE, 10)).toEqual(new Set(FINE))
+  })
+
+  it('turns finer cells into their parents', () => {
+    expect(cellsAtResolution(FINE, 9)).toEqual(new Set(COARSE))
+  })
+
+  it('turns coarser cells into all of their children', () => {
+    const children = cellsAtResolution(COARSE, 10)
+    expect(children.size).toBe(COARSE.length * 7)
+    FINE.forEach(c => expect(children.has(c)).toBe(true))
+  })
+
+  it('handles mixed resolutions in one collection', () => {
+    const mixed = cellsAtResolution([FINE[0], cellToParent(FINE[5], 9)], 10)
+    expect(mixed).toEqual(new Set([FINE[0], ...cellToChildren(cellToParent(FINE[5], 9), 10)]))
+  })
+})
+
+describe('atCoarserResolution', () => {
+  it('compares mixed collections at the coarser one', () => {
+    const [a, b] = atCoarserResolution(FINE, COARSE)
+    expect([...a].map(getResolution)).toEqual(COARSE.map(() => 9))
+    expect(a).toEqual(b)
+  })
+
+  it('keeps same-resolution and empty collections as they are', () => {
+    expect(atCoarserResolution(FINE, FINE.slice(0, 2))).toEqual([new Set(FINE), new Set(FINE.slice(0, 2))])
+    expect(atCoarserResolution([], COARSE)).toEqual([new Set(), new Set(COARSE)])
+  })
+
+  it('lets routes tiled at different resolutions match', () => {
+    expect(jaccard(FINE, COARSE)).toBe(1)
+    expect(jaccard(FINE.slice(0, 1), COARSE)).toBeLessThan(1)
+  })
+})
+
+describe('tile resolutions', () => {
+  it('only accepts whole resolutions finer than the parent index', () => {
+    expect(isTileResolution(TILE_PARENT_RES)).toBe(false)
+    expect(isTileResolution(TILE_PARENT_RES + 1)).toBe(true)
+    expect(isTileResolution(15)).toBe(true)
+    expect(isTileResolution(16)).toBe(false)
+    expect(isTileResolution(9.5)).toBe(false)
+    expect(isTileResolution(undefined)).toBe(false)
+  })
+
+  it('indexes tiles of every valid resolution under a parent', () => {
+    for (let res = TILE_PARENT_RES + 1; res <= 15; res++) {
+      expect(getResolution(tileParent(latLngToCell(52.52, 13.4, res)))).toBe(TILE_PARENT_RES)
+    }
+  })
+})
+
+describe('geometryContains', () => {
+  const square = (w, s, e, n) => [[w, s], [e, s], [e, n], [w, n], [w, s]]
+
+  it('respects holes and every part of a MultiPolygon', () => {
+    const polygon = { type: 'Polygon', coordinates: [square(13, 52, 14, 53), square(13.4, 52.4, 13.6, 52.6)] }
+    expect(geometryContains(polygon, 52.2, 13.2)).toBe(true)
+    expect(geometryContains(polygon, 52.5, 13.5)).toBe(false)
+    expect(geometryContains(polygon, 51.9, 13.5)).toBe(false)
+    const multi = { type: 'MultiPolygon', coordinates: [[square(0, 0, 1, 1)], polygon.coordinates] }
+    expect(geometryContains(multi, 0.5, 0.5)).toBe(true)
+    expect(geometryContains(multi, 52.2, 13.2)).toBe(true)
+    expect(geometryContains(multi, 2, 2)).toBe(false)
+  })
+
+  it('holds nothing for other geometry types', () => {
+    expect(geometryContains({ type: 'Point', coordinates: [13, 52] }, 52, 13)).toBe(false)
+  })
+})
+
+describe('territoryCounts', () => {
+  it('counts the total and each sport in cells of one resolution', () => {
+    const coarse = latLngToCell(52.52, 13.4, 9)
+    const [inside, ...rest] = cellToChildren(coarse, 10)
+    const outside = latLngToCell(48.85, 2.35, 10)
+    const tiles = [
+      { h3_index: coarse, activity_type: 'cycling' },
+      { h3_index: inside, activity_type: 'running' },
+      { h3_index: outside, activity_type: 'running' },
+    ]
+    const { total, bySport } = territoryCounts(tiles, 10)
+    expect(bySport).toEqual({ cycling: rest.length + 1, running: 2 })
+    // The running tile inside the cycling one is only counted once in the total
+    expect(total).toBe(rest.length + 2)
+    expect(territoryCounts([], 10)).toEqual({ total: 0, bySport: {} })
+  })
+})
@@ -0,0 +1,257 @@
+import { latLngToCell } from 'h3-js'
+import { haversine, pathCells, destination } from './geo'
+import { parseGpx } from './formats'
+
+// ============== POSITION SOURCES ==============
+// A source produces fixes { lat, lng, ts, acc, alt }. current() resolves one
+// fix; watch(onFix, onError) streams them and returns a function that stops.
+
+const WATCH_OPTIONS = { enableHighAccuracy: true, maximumAge: 0, timeout: 10000 }
+
+export function browserSource() {
+  const toFix = pos => ({ lat: pos.coords.latitude, lng: pos.coords.longitude, ts: Date.now(), acc: pos.coords.accuracy, alt: pos.coords.altitude })
+  return {
+    current: (options = {}) => new Promise((resolve, reject) => {
+      navigator.geolocation.getCurrentPosition(pos => resolve(toFix(pos)), reject, options)
+    }),
+    watch: (onFix, onError) => {
+      const id = navigator.geolocation.watchPosition(pos => onFix(toFix(pos)), onError, WATCH_OPTIONS)
+      return () => navigator.geolocation.clearWatch(id)
+    },
+  }
+}
+
+// Replays recorded fixes with their original spacing, `speed` times faster.
+// Timestamps are shifted to the present; pausing and watching again resumes
+// from the next unplayed fix.
+export function replaySource(points, { speed = 1 } = {}) {
+  let cursor = 0
+  return {
+    current: async () => ({ ...points[Math.min(cursor, points.length - 1)], ts: Date.now() }),
+    watch: (onFix) => {
+      let timer = null
+      const offset = Date.now() - (points[cursor]?.ts ?? 0)
+      const next = () => {
+        if (cursor >= points.length) return
+        const p = points[cursor++]
+        onFix({ ...p, ts: p.ts + offset })
+        if (cursor < points.length) timer = setTimeout(next, (points[cursor].ts - p.ts) / speed)
+      }
+      next()
+      return () => clearTimeout(timer)
+    },
+  }
+}
+
+export const gpxSource = (text, options) => replaySource(parseGpx(text), options)
+
+// Scripted movement for testing without a device. Each leg moves at `speedMs`
+// along `bearing` for `seconds`, emitting a fix every `intervalMs`.
+export function simulatorSource({ start, legs, intervalMs = 1000, accuracy = 5, speed = 1 }) {
+  const points = []
+  let pos = start, ts = 0
+  points.push({ ...pos, ts, acc: accuracy, alt: null })
+  for (const leg of legs) {
+    for (let t = intervalMs; t <= leg.seconds * 1000; t += intervalMs) {
+      pos = destination(pos, leg.bearing, leg.speedMs * intervalMs / 1000)
+      ts += intervalMs
+      points.push({ ...pos, ts, acc: accuracy, alt: null })
+    }
+  }
+  return replaySource(points, { speed })
+}
+
+let source = null
+
+export function getPositionSource() {
+  if (!source) source = browserSource()
+  return source
+}
+
+export function setPositionSource(next) {
+  source = next
+}
+
+export const getCurrentPosition = (options) => getPositionSource().current(options)
+
+// Swap sources from the console in development, e.g.
+//   positionSource.set(positionSource.simulator({ start: { lat: 52.52, lng: 13.405 }, legs: [{ bearing: 90, speedMs: 6, seconds: 600 }] }))
+if (import.meta.env?.DEV && typeof window !== 'undefined') {
+  window.positionSource = { set: setPositionSource, browser: browserSource, replay: replaySource, gpx: gpxSource, simulator: simulatorSource }
+}
+
+export const gpsQuality = (fix) => fix.acc == null || fix.acc <= 20 ? 'good' : fix.acc <= 50 ? 'okay' : 'poor'
+
+// ============== FILTERING ==============
+// Kalman filter with a constant-velocity model, run per axis in metres around
+// the first fix. Velocity is part of the state, so a moving athlete's track
+// doesn't lag behind and a standing one settles at zero speed. `accel` (m/s²)
+// is how sharply speed is expected to change between fixes, `maxSpeed` bounds
+// the speed a fresh track may start with, and each fix is weighted by its
+// reported accuracy.
+const DEFAULT_ACCURACY = 10
+const MIN_ACCURACY = 1
+const DEFAULT_ACCEL = 1
+const M_PER_DEG = 111320
+
+export function createKalmanFilter({ accel = DEFAULT_ACCEL, maxSpeed = 10 } = {}) {
+  let origin = null, ts, x, y, P
+
+  return {
+    update(fix) {
+      const acc = Math.max(fix.acc ?? DEFAULT_ACCURACY, MIN_ACCURACY), r = acc * acc
+      if (!origin) origin = { lat: fix.lat, lng: fix.lng, kx: M_PER_DEG * Math.cos(fix.lat * Math.PI / 180) }
+      const zx = (fix.lng - origin.lng) * origin.kx, zy = (fix.lat - origin.lat) * M_PER_DEG
+      if (!P) {
+        x = [zx, 0]; y = [zy, 0]; P = [r, 0, 0, maxSpeed * maxSpeed]
+      } else {
+        const dt = Math.max((fix.ts - ts) / 1000, 0), q = accel * accel
+        // Predict: position moves on by velocity, uncertainty grows with dt
+        x[0] += x[1] * dt; y[0] += y[1] * dt
+        const [p00, p01, p10, p11] = P
+        P = [
+          p00 + dt * (p01 + p10) + dt * dt * p11 + q * dt ** 4 / 4,
+          p01 + dt * p11 + q * dt ** 3 / 2,
+          p10 + dt * p11 + q * dt ** 3 / 2,
+          p11 + q * dt * dt,
+        ]
+        // Correct with the fix; both axes share P as they share the noise
+        const s = P[0] + r, k0 = P[0] / s, k1 = P[2] / s
+        const ex = zx - x[0], ey = zy - y[0]
+        x = [x[0] + k0 * ex, x[1] + k1 * ex]
+        y = [y[0] + k0 * ey, y[1] + k1 * ey]
+        P = [(1 - k0) * P[0], (1 - k0) * P[1], P[2] - k1 * P[0], P[3] - k1 * P[1]]
+      }
+      ts = fix.ts
+      return { ...fix, lat: origin.lat + y[0] / M_PER_DEG, lng: origin.lng + x[0] / origin.kx, acc: Math.round(Math.sqrt(P[0])) }
+    },
+    reset() { origin = null; P = null },
+    // Estimated speed in m/s, 0 before the first fix
+    get speed() { return P ? Math.hypot(x[1], y[1]) : 0 },
+  }
+}
+
+// After this many consecutive speed outliers that agree with each other, the
+// last accepted point is assumed to be the bad one and the track restarts.
+const OUTLIER_RESET = 3
+
+const impliedSpeed = (a, b) => {
+  const dt = (b.ts - a.ts) / 1000
+  return dt > 0 ? haversine(a.lat, a.lng, b.lat, b.lng) / dt : 0
+}
+
+// ============== TRACKER ==============
+// Owns filtering, distance accumulation and cell tracking for one recording.
+// `raw` keeps every fix received for auditing; `points` is the cleaned track
+// that distance and tiles are computed from. push() reports the GPS quality
+// of every fix and whether it was kept. While moving, distance follows the
+// filtered track by integrating the filter's speed, which bends with curves
+// without counting the fix-to-fix wobble. When that speed drops below
+// STILL_SPEED the position is anchored, and nothing more is counted until it
+// leaves the anchor by more than the fix's reported accuracy, so jitter while
+// stopped adds nothing.
+const MIN_MOVE_METERS = 2
+const STILL_SPEED = 0.5
+
+export function createTracker({ resolution, minAccuracy, maxSpeed, maxGapFill, accel }) {
+  let raw = [], points = [], cells = new Set(), distance = 0, speed = 0, outliers = [], anchor = null, moving = false
+  const filter = createKalmanFilter({ accel, maxSpeed })
+
+  return {
+    push(fix) {
+      raw.push(fix)
+      const gps = gpsQuality(fix)
+      if (fix.acc > minAccuracy) return { accepted: false, gps }
+
+      let last = points[points.length - 1]
+      if (last && impliedSpeed(last, fix) > maxSpeed) {
+        outliers.push(fix)
+        const agree = outliers.every((o, i) => i === 0 || impliedSpeed(outliers[i - 1], o) <= maxSpeed)
+        if (outliers.length < OUTLIER_RESET || !agree) {
+          if (!agree) outliers = [fix]
+          return { accepted: false, gps }
+        }
+        // Start a new segment at this fix; the jump itself is not counted
+        filter.reset()
+        last = null
+        anchor = null
+        moving = false
+      }
+      outliers = []
+
+      const pt = filter.update(fix)
+      let dist = 0
+      if (last) {
+        dist = haversine(last.lat, last.lng, pt.lat, pt.lng)
+        speed = impliedSpeed(last, pt)
+      }
+      if (!anchor) anchor = pt
+      else if (moving) {
+        distance += filter.speed * (pt.ts - last.ts) / 1000
+        if (filter.speed < STILL_SPEED) { moving = false; anchor = pt }
+      } else {
+        const moved = haversine(anchor.lat, anchor.lng, pt.lat, pt.lng)
+        if (moved > Math.max(fix.acc ?? 0, MIN_MOVE_METERS)) { distance += moved; moving = true }
+      }
+
+      // Count every hex between consecutive accepted fixes, not just the fixes themselves
+      const crossed = last && dist <= maxGapFill ? pathCells(last, pt, resolution) : [latLngToCell(pt.lat, pt.lng, resolution)]
+      crossed.forEach(c => cells.add(c))
+      points.push(pt)
+      return { accepted: true, gps }
+    },
+    restore(state) {
+      raw = [...(state.raw || [])]
+      points = [...(state.points || [])]
+      cells = new Set(state.cells || [])
+      distance = state.distance || 0
+      speed = 0
+      outliers = []
+      moving = false
+      filter.reset()
+      anchor = points[points.length - 1] || null
+      if (anchor) filter.update(anchor)
+    },
+    get raw() { return raw },
+    get points() { return points },
+    get cells() { return cells },
+    get distance() { return distance },
+    get speed() { return speed },
+  }
+}
+
+// ============== STILLNESS ==============
+// When the athlete stopped: the timestamp of the earliest fix in the unbroken
+// run of recent fixes that all sit within `radius` metres of the latest one.
+export function stillSince(points, radius) {
+  const last = points[points.length - 1]
+  if (!last) return null
+  let since = last.ts
+  for (let i = points.length - 2; i >= 0; i--) {
+    if (haversine(points[i].lat, points[i].lng, last.lat, last.lng) > radius) break
+    since = points[i].ts
+  }
+  return since
+}
+
+export function hasMoved(points, fix, radius) {
+  const last = points[points.length - 1]
+  return !last || haversine(last.lat, last.lng, fix.lat, fix.lng) > radius
+}
+
+// Seconds spent moving along a finished track, judged the way auto-pause
+// judges a live one: once the athlete stays within `radius` metres for
+// `stopSeconds`, the time until they leave that radius again is not counted.
+export function movingTime(points, radius, stopSeconds) {
+  let moving = 0, anchor = points[0]
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1], p = points[i]
+    if (!hasMoved([anchor], p, radius)) continue
+    const stayed = prev.ts - anchor.ts
+    moving += stayed >= stopSeconds * 1000 ? p.ts - prev.ts : p.ts - anchor.ts
+    anchor = p
+  }
+  const last = points[points.length - 1]
+  if (last && last.ts - anchor.ts < stopSeconds * 1000) moving += last.ts - anchor.ts
+  return moving / 1000
+}
@@ -0,0 +1,214 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createKalmanFilter, createTracker, replaySource, stillSince, hasMoved, movingTime } from './location'
+import { destination, haversine } from './geo'
+
+const START = { lat: 52.52, lng: 13.405 }
+const T0 = Date.parse('2026-10-19T08:00:00Z')
+
+// One fix a second along `legs` of { bearing, speedMs, seconds }. `wobble`
+// nudges fixes a few metres off the true line, alternating sides, so the
+// tracker has GPS-like noise to deal with.
+const track = (legs, { acc = 5, wobble = 0 } = {}) => {
+  const points = []
+  let pos = START, ts = 0
+  const fix = () => {
+    const side = points.length % 2 ? 1 : -1
+    points.push({ ...destination(destination(pos, 0, side * wobble), 90, side * wobble), ts, acc, alt: null })
+  }
+  fix()
+  for (const leg of legs) {
+    for (let s = 1; s <= leg.seconds; s++) {
+      pos = destination(pos, leg.bearing, leg.speedMs)
+      ts += 1000
+      fix()
+    }
+  }
+  return points
+}
+
+const newTracker = () => createTracker({ resolution: 10, minAccuracy: 50, maxSpeed: 18, maxGapFill: 500 })
+
+// Plays `points` through a replay source into a fresh tracker on fake timers
+const replay = (points) => {
+  const tracker = newTracker()
+  const stop = replaySource(points).watch(fix => tracker.push(fix))
+  vi.advanceTimersByTime(points[points.length - 1].ts - points[0].ts)
+  stop()
+  return tracker
+}
+
+describe('createKalmanFilter', () => {
+  it('settles on a point with the noise averaged out', () => {
+    const filter = createKalmanFilter()
+    const fixes = track([{ bearing: 0, speedMs: 0, seconds: 60 }], { acc: 10, wobble: 4 })
+    const pts = fixes.map(f => filter.update(f))
+    const last = pts[pts.length - 1]
+    expect(haversine(last.lat, last.lng, START.lat, START.lng)).toBeLessThan(2)
+    expect(last.acc).toBeLessThan(10)
+    expect(filter.speed).toBeLessThan(0.5)
+  })
+
+  it('learns the speed of a steady ride without lagging behind it', () => {
+    const filter = createKalmanFilter()
+    const fixes = track([{ bearing: 90, speedMs: 6, seconds: 60 }], { wobble: 2 })
+    const pts = fixes.map(f => filter.update(f))
+    const truth = destination(START, 90, 360), last = pts[pts.length - 1]
+    expect(filter.speed).toBeCloseTo(6, 0)
+    expect(haversine(last.lat, last.lng, truth.lat, truth.lng)).toBeLessThan(3)
+  })
+
+  it('leans on accurate fixes more than poor ones', () => {
+    const pull = (acc) => {
+      const filter = createKalmanFilter()
+      for (let ts = 0; ts < 10000; ts += 1000) filter.update({ ...START, ts, acc: 5 })
+      const pt = filter.update({ ...destination(START, 90, 20), ts: 10000, acc })
+      return haversine(pt.lat, pt.lng, START.lat, START.lng)
+    }
+    expect(pull(5)).toBeGreaterThan(pull(40))
+  })
+
+  it('starts over after a reset', () => {
+    const filter = createKalmanFilter()
+    track([{ bearing: 90, speedMs: 6, seconds: 20 }]).forEach(f => filter.update(f))
+    filter.reset()
+    expect(filter.speed).toBe(0)
+    const far = { ...destination(START, 180, 5000), ts: 30000, acc: 5 }
+    expect(filter.update(far)).toMatchObject({ lat: far.lat, lng: far.lng })
+  })
+})
+
+describe('outliers', () => {
+  const straight = () => track([{ bearing: 90, speedMs: 5, seconds: 60 }])
+  const jump = (fix, metres, ts) => ({ ...destination(fix, 0, metres), ts, acc: 5 })
+
+  it('drops fixes worse than the accuracy limit', () => {
+    const tracker = newTracker()
+    expect(tracker.push({ ...START, ts: 0, acc: 80 })).toEqual({ accepted: false, gps: 'poor' })
+    expect(tracker.raw).toHaveLength(1)
+    expect(tracker.points).toHaveLength(0)
+  })
+
+  it('rejects a lone spike and keeps the distance', () => {
+    const fixes = straight(), tracker = newTracker()
+    fixes.slice(0, 31).forEach(f => tracker.push(f))
+    const before = tracker.distance
+    expect(tracker.push(jump(fixes[30], 400, 30500)).accepted).toBe(false)
+    fixes.slice(31).forEach(f => tracker.push(f))
+    expect(tracker.points).toHaveLength(fixes.length)
+    expect(tracker.distance - before).toBeGreaterThan(150 * 0.97)
+    expect(tracker.distance - before).toBeLessThan(150 * 1.03)
+  })
+
+  it('starts a new segment after three outliers that agree', () => {
+    const fixes = straight(), tracker = newTracker()
+    fixes.slice(0, 31).forEach(f => tracker.push(f))
+    const before = tracker.distance, moved = [1, 2, 3].map(i => jump(fixes[30 + i], 2000, fixes[30 + i].ts))
+    expect(tracker.push(moved[0]).accepted).toBe(false)
+    expect(tracker.push(moved[1]).accepted).toBe(false)
+    expect(tracker.push(moved[2]).accepted).toBe(true)
+    // The new segment starts at the third fix, the 2 km jump isn't counted
+    const pt = tracker.points[tracker.points.length - 1]
+    expect(pt).toMatchObject({ lat: moved[2].lat, lng: moved[2].lng })
+    expect(tracker.distance).toBe(before)
+  })
+
+  it('keeps rejecting outliers that disagree with each other', () => {
+    const fixes = straight(), tracker = newTracker()
+    fixes.slice(0, 31).forEach(f => tracker.push(f))
+    const spikes = [1, 2, 3, 4].map(i => jump(fixes[30 + i], i % 2 ? 2000 : -2000, fixes[30 + i].ts))
+    expect(spikes.map(f => tracker.push(f).accepted)).toEqual([false, false, false, false])
+    expect(tracker.points).toHaveLength(31)
+  })
+})
+
+describe('replayed tracks', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(T0)
+  })
+  afterEach(() => vi.useRealTimers())
+
+  it('delivers every fix in order, shifted to the present', () => {
+    const points = track([{ bearing: 90, speedMs: 5, seconds: 30 }])
+    const tracker = replay(points)
+    expect(tracker.raw).toHaveLength(points.length)
+    expect(tracker.raw[0].ts).toBe(T0)
+    expect(tracker.raw[points.length - 1].ts).toBe(T0 + 30000)
+  })
+
+  it('measures the distance of a straight ride', () => {
+    const tracker = replay(track([{ bearing: 90, speedMs: 5, seconds: 300 }], { wobble: 3 }))
+    expect(tracker.distance).toBeGreaterThan(1500 * 0.97)
+    expect(tracker.distance).toBeLessThan(1500 * 1.03)
+    expect(tracker.cells.size).toBeGreaterThan(1)
+  })
+
+  it('follows a curve instead of cutting across it', () => {
+    // Two laps of a 40 m circle at 5 m/s
+    const laps = Array.from({ length: 100 }, (_, i) => ({ bearing: i * 360 / 50, speedMs: 5, seconds: 1 }))
+    const tracker = replay(track(laps, { wobble: 2 }))
+    expect(tracker.distance).toBeGreaterThan(500 * 0.97)
+    expect(tracker.distance).toBeLessThan(500 * 1.03)
+  })
+
+  it('ignores a burst of outliers mid-ride', () => {
+    const points = track([{ bearing: 90, speedMs: 5, seconds: 120 }], { wobble: 2 })
+    const burst = points.map((p, i) => i >= 60 && i < 62 ? { ...p, ...destination(p, 0, 300 * (i - 59)) } : p)
+    const clean = replay(points).distance
+    vi.setSystemTime(T0)
+    const noisy = replay(burst)
+    expect(noisy.points).toHaveLength(points.length - 2)
+    expect(Math.abs(noisy.distance - clean)).toBeLessThan(5)
+  })
+
+  it('adds nothing while standing still', () => {
+    const tracker = replay(track([{ bearing: 0, speedMs: 0, seconds: 300 }], { acc: 10, wobble: 3 }))
+    expect(tracker.distance).toBe(0)
+  })
+
+  it('leaves stops out of the distance and the moving time', () => {
+    const legs = [
+      { bearing: 90, speedMs: 5, seconds: 120 },
+      { bearing: 0, speedMs: 0, seconds: 60 },
+      { bearing: 0, speedMs: 5, seconds: 120 },
+    ]
+    const tracker = replay(track(legs, { wobble: 3 }))
+    expect(tracker.distance).toBeGreaterThan(1200 * 0.95)
+    expect(tracker.distance).toBeLessThan(1200 * 1.05)
+    const moving = movingTime(tracker.points, 15, 8)
+    expect(moving).toBeGreaterThan(240 * 0.95)
+    expect(moving).toBeLessThan(240 * 1.05)
+  })
+})
+
+describe('still detection', () => {
+  const points = track([{ bearing: 90, speedMs: 5, seconds: 60 }, { bearing: 0, speedMs: 0, seconds: 30 }], { wobble: 2 })
+
+  it('finds when the athlete stopped', () => {
+    const since = stillSince(points, 15)
+    // The last couple of moving fixes already sit inside the radius
+    expect(since).toBeGreaterThanOrEqual(57000)
+    expect(since).toBeLessThanOrEqual(60000)
+    expect(stillSince([], 15)).toBeNull()
+  })
+
+  it('reports no stop while moving', () => {
+    const moving = track([{ bearing: 90, speedMs: 5, seconds: 60 }])
+    // Only the fixes a radius' worth behind the latest one count as stopped
+    expect(moving[moving.length - 1].ts - stillSince(moving, 15)).toBeLessThanOrEqual(3000)
+  })
+
+  it('resumes only once a fix leaves the radius', () => {
+    const last = points[points.length - 1]
+    expect(hasMoved(points, destination(last, 45, 10), 15)).toBe(false)
+    expect(hasMoved(points, destination(last, 45, 20), 15)).toBe(true)
+    expect(hasMoved([], last, 15)).toBe(true)
+  })
+
+  it('drops a stop from the moving time only once it lasts long enough', () => {
+    const stopped = (seconds) => track([{ bearing: 90, speedMs: 5, seconds: 60 }, { bearing: 0, speedMs: 0, seconds }, { bearing: 90, speedMs: 5, seconds: 60 }])
+    expect(movingTime(stopped(2), 15, 8)).toBe(122)
+    // The fixes closing in on the stop fall inside the radius too
+    expect(movingTime(stopped(30), 15, 8)).toBe(117)
+  })
+})
@@ -0,0 +1,109 @@
+import { supabase, saveRideTrack, claimRideTiles, unlockRoute, resolveThreat, grantXp } from './supabase'
+import { addOutboxItem, getOutboxItems, updateOutboxItem, removeOutboxItem, parkOutboxItem } from './storage'
+
+// ============== OUTBOX ==============
+// Writes that must not be lost (finished rides, tile claims, route unlocks,
+// threat resolutions, XP, track times) go through send(). If the request fails
+// they are queued in IndexedDB and replayed in order with exponential backoff.
+// Items that fail permanently, or too often, are set aside so they can't hold
+// up everything queued behind them.
+
+const BASE_DELAY_MS = 5000
+const MAX_DELAY_MS = 60 * 60 * 1000
+const MAX_ATTEMPTS = 50
+
+// Every handler must be idempotent: an item can be replayed after a partial
+// failure, and the service worker may already have delivered the same request.
+const HANDLERS = {
+  ride: async ({ ride, track, raw }) => {
+    const { data, error } = await supabase.from('rides').upsert(ride, { onConflict: 'id' }).select().single()
+    if (error) return { error }
+    if (track?.length) {
+      const { error: trackError } = await saveRideTrack(ride.id, ride.user_id, track, raw)
+      if (trackError) return { error: trackError }
+    }
+    return { data }
+  },
+  claim: (claim) => claimRideTiles(claim),
+  unlock: (unlock) => unlockRoute(unlock),
+  threat: (resolution) => resolveThreat(resolution),
+  xp: ({ id, delta }) => grantXp(id, delta),
+  trackTime: (row) => supabase.from('track_times').upsert(row, { onConflict: 'id' }),
+}
+
+const listeners = new Set()
+let retryTimer = null
+let flushing = null
+
+const backoff = (attempts) => Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS)
+
+// Worth retrying: no response at all, a gateway error without a PostgREST
+// code, an expired session (PGRST3xx) or a connection-type SQLSTATE. Anything
+// else (constraints, RLS, an update matching no row) fails the same way again.
+const isTransient = (error) => !error?.code || /^(PGRST3|08|40|53|57)/.test(error.code)
+
+const attempt = async (type, payload) => {
+  try {
+    const { data, error } = (await HANDLERS[type](payload)) || {}
+    return { ok: !error, data, error, transient: isTransient(error) }
+  } catch {
+    return { ok: false, transient: true }
+  }
+}
+
+const refresh = async () => {
+  let items = []
+  try { items = await getOutboxItems() } catch {}
+  listeners.forEach(fn => fn(items.length))
+  clearTimeout(retryTimer)
+  if (items.length) retryTimer = setTimeout(flushOutbox, Math.max(items[0].nextAttemptAt - Date.now(), 0))
+}
+
+// Tries the write straight away unless earlier items are still queued, in
+// which case those are flushed first and the write waits behind any left.
+export async function send(type, payload) {
+  let pending = 0
+  try { pending = (await getOutboxItems()).length } catch {}
+  if (pending) {
+    await flushOutbox({ force: true })
+    try { pending = (await getOutboxItems()).length } catch {}
+  }
+  if (!pending) {
+    const { ok, data, error, transient } = await attempt(type, payload)
+    if (ok) return { data: data ?? null, queued: false }
+    if (!transient) return { data: null, queued: false, error }
+  }
+  try {
+    await addOutboxItem({ type, payload, attempts: 1, nextAttemptAt: Date.now() + backoff(1), createdAt: Date.now() })
+  } catch (error) {
+    return { data: null, queued: false, error }
+  }
+  await refresh()
+  return { data: null, queued: true }
+}
+
+// Items are replayed strictly in order, so a claim never lands before the ride
+// it belongs to; `force` ignores the backoff (e.g. when we come back online).
+export function flushOutbox({ force = false } = {}) {
+  if (flushing) return flushing
+  flushing = (async () => {
+    let items = []
+    try { items = await getOutboxItems() } catch {}
+    for (const item of items) {
+      if (!force && item.nextAttemptAt > Date.now()) break
+      const { ok, transient } = await attempt(item.type, item.payload)
+      if (ok) { await removeOutboxItem(item.id); continue }
+      if (!transient || item.attempts >= MAX_ATTEMPTS) { await parkOutboxItem(item); continue }
+      await updateOutboxItem({ ...item, attempts: item.attempts + 1, nextAttemptAt: Date.now() + backoff(item.attempts + 1) })
+      break
+    }
+    await refresh()
+  })().finally(() => { flushing = null })
+  return flushing
+}
+
+export function onOutboxChange(fn) {
+  listeners.add(fn)
+  getOutboxItems().then(items => fn(items.length)).catch(() => {})
+  return () => listeners.delete(fn)
+}
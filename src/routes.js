@@ -0,0 +1,45 @@
+// ============== ROUTES ==============
+import { atCoarserResolution } from './geo'
+
+// Rides are grouped into canonical routes by how much their H3 cell sets
+// overlap rather than by an exact hash, so GPS drift of a hex or two doesn't
+// make a familiar loop look like a new route. Each ride stores its sorted
+// cells (`h3_cells`) and the `route_signature` of the route it joined.
+
+// Jaccard overlap of two cell collections: |A ∩ B| / |A ∪ B|, 0 when both are
+// empty. Collections tiled at different resolutions are compared at the coarser.
+export function jaccard(a, b) {
+  const [setA, setB] = atCoarserResolution(a, b)
+  if (!setA.size && !setB.size) return 0
+  let shared = 0
+  setA.forEach(c => { if (setB.has(c)) shared++ })
+  return shared / (setA.size + setB.size - shared)
+}
+
+const sameRoute = (ride, other, threshold) =>
+  other.route_signature === ride.route_signature ||
+  (!!ride.h3_cells?.length && !!other.h3_cells?.length && jaccard(ride.h3_cells, other.h3_cells) >= threshold)
+
+// Signature of the closest earlier route of the same activity, or null when
+// no ride overlaps by at least `threshold`
+export function matchRoute(cells, activityType, rides, threshold) {
+  let best = null, bestScore = threshold
+  for (const r of rides) {
+    if (r.activity_type !== activityType || !r.h3_cells?.length) continue
+    const score = jaccard(cells, r.h3_cells)
+    if (score >= bestScore) { best = r.route_signature; bestScore = score }
+  }
+  return best
+}
+
+// Earlier rides that count towards unlocking `ride`'s route: same activity,
+// same route and started within `windowDays` before it. Newest first.
+export function routeMatches(ride, rides, { threshold, windowDays }) {
+  const end = Date.parse(ride.started_at), start = end - windowDays * 86400000
+  return rides
+    .filter(r => {
+      const t = Date.parse(r.started_at)
+      return r.id !== ride.id && r.activity_type === ride.activity_type && t >= start && t < end && sameRoute(ride, r, threshold)
+    })
+    .sort((a, b) => Date.parse(b.started_at) - Date.parse(a.started_at))
+}
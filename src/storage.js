@@ -0,0 +1,88 @@
+// ============== INDEXEDDB ==============
+const DB_NAME = 'territorycycle'
+const DB_VERSION = 3
+const STORES = {
+  session: {},
+  outbox: { keyPath: 'id', autoIncrement: true },
+  outboxFailed: { keyPath: 'id' },
+}
+
+let dbPromise = null
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION)
+      req.onupgradeneeded = () => {
+        for (const [name, opts] of Object.entries(STORES)) {
+          if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name, opts)
+        }
+      }
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => { dbPromise = null; reject(req.error) }
+    })
+  }
+  return dbPromise
+}
+
+const run = async (store, mode, fn) => {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode)
+    const req = fn(tx.objectStore(store))
+    tx.oncomplete = () => resolve(req?.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+// ============== RECORDING CHECKPOINT ==============
+// The in-progress recording is mirrored here so a reload or tab eviction
+// mid-activity can be recovered on the next launch.
+const SESSION_KEY = 'active'
+
+export async function saveSession(session) {
+  try {
+    await run('session', 'readwrite', s => s.put({ ...session, savedAt: Date.now() }, SESSION_KEY))
+  } catch (err) {
+    console.error('Failed to checkpoint recording:', err)
+  }
+}
+
+export async function loadSession() {
+  try {
+    return (await run('session', 'readonly', s => s.get(SESSION_KEY))) || null
+  } catch {
+    return null
+  }
+}
+
+export async function clearSession() {
+  try {
+    await run('session', 'readwrite', s => s.delete(SESSION_KEY))
+  } catch {}
+}
+
+// ============== OUTBOX ==============
+export async function addOutboxItem(item) {
+  return run('outbox', 'readwrite', s => s.add(item))
+}
+
+export async function getOutboxItems() {
+  return (await run('outbox', 'readonly', s => s.getAll())) || []
+}
+
+export async function updateOutboxItem(item) {
+  return run('outbox', 'readwrite', s => s.put(item))
+}
+
+export async function removeOutboxItem(id) {
+  return run('outbox', 'readwrite', s => s.delete(id))
+}
+
+// Items that can never succeed are moved aside so they stop blocking the
+// queue but are kept for inspection
+export async function parkOutboxItem(item) {
+  await run('outboxFailed', 'readwrite', s => s.put({ ...item, parkedAt: Date.now() }))
+  return removeOutboxItem(item.id)
+}
@@ -1,4 +1,9 @@
 import { createClient } from '@supabase/supabase-js'
+import { encodeTrack, decodeTrack } from './track'
+import { planClaim, countsVisits } from './territory'
+import { planThreats } from './threats'
+import { RULES, routeProgress } from './engine'
+import { tileParent } from './geo'
 
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL
 const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY
@@ -39,6 +44,15 @@ export async function getProfile(userId) {
   return { data, error }
 }
 
+// Just what the map needs to label other riders' tiles
+export async function getPublicProfiles(userIds) {
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('id, first_name, avatar_background, avatar_icon, clan_id')
+    .in('id', userIds)
+  return { data, error }
+}
+
 export async function updateProfile(userId, updates) {
   const { data, error } = await supabase
     .from('profiles')
@@ -48,6 +62,13 @@ export async function updateProfile(userId, updates) {
   return { data, error }
 }
 
+// Adds `delta` XP on the server (see supabase/migrations). `grantId` makes the
+// grant idempotent, so a replayed one is only counted once.
+export async function grantXp(grantId, delta) {
+  const { data, error } = await supabase.rpc('grant_xp', { grant_id: grantId, delta })
+  return { data, error }
+}
+
 // ============ RIDES ============
 export async function saveRide(ride) {
   const { data, error } = await supabase
@@ -58,17 +79,60 @@ export async function saveRide(ride) {
   return { data, error }
 }
 
-export async function getUserRides(userId, limit = 100) {
+export async function getUserRides(userId, limit = 100, { withTracks = false, offset = 0 } = {}) {
   const { data, error } = await supabase
     .from('rides')
-    .select('*')
+    .select(withTracks ? '*, ride_tracks(polyline)' : '*')
     .eq('user_id', userId)
     .order('created_at', { ascending: false })
-    .limit(limit)
+    .range(offset, offset + limit - 1)
+  if (!withTracks || !data) return { data, error }
+  // Flatten the joined row into a decoded `track` array on each ride
+  const rides = data.map(({ ride_tracks, ...ride }) => {
+    const row = Array.isArray(ride_tracks) ? ride_tracks[0] : ride_tracks
+    return { ...ride, track: row ? decodeTrack(row.polyline) : [] }
+  })
+  return { data: rides, error }
+}
+
+// ============ RIDE TRACKS ============
+// `points` is the filtered track; `raw` keeps every fix as received for auditing
+export async function saveRideTrack(rideId, userId, points, raw = []) {
+  const { data, error } = await supabase
+    .from('ride_tracks')
+    .upsert({
+      ride_id: rideId, user_id: userId, polyline: encodeTrack(points), point_count: points.length,
+      raw_polyline: encodeTrack(raw), raw_point_count: raw.length
+    }, { onConflict: 'ride_id' })
+    .select()
+    .single()
   return { data, error }
 }
 
+export async function getRideTrack(rideId) {
+  const { data, error } = await supabase
+    .from('ride_tracks')
+    .select('polyline, raw_polyline')
+    .eq('ride_id', rideId)
+    .maybeSingle()
+  return { data: data ? decodeTrack(data.polyline) : null, raw: data ? decodeTrack(data.raw_polyline) : null, error }
+}
+
 // ============ TILES ============
+const PAGE_SIZE = 1000
+
+// Runs the query built by `query()` a page at a time until a short page, as
+// the API caps how many rows one response returns. The query must be ordered.
+async function allPages(query) {
+  const rows = []
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await query().range(from, from + PAGE_SIZE - 1)
+    if (error) return { data: null, error }
+    rows.push(...data)
+    if (data.length < PAGE_SIZE) return { data: rows, error: null }
+  }
+}
+
 export async function getUserTiles(userId) {
   const { data, error } = await supabase
     .from('tiles')
@@ -80,10 +144,125 @@ export async function getUserTiles(userId) {
 export async function claimTiles(tiles) {
   const { data, error } = await supabase
     .from('tiles')
-    .upsert(tiles, { onConflict: 'h3_index' })
+    .upsert(tiles.map(t => ({ ...t, h3_parent: tileParent(t.h3_index) })), { onConflict: 'h3_index,activity_type' })
   return { data, error }
 }
 
+// Current rows of `activityType` for the given cells, fetched in chunks to
+// keep URLs short. Each sport holds its own territory, so a cell can have one
+// owner per activity.
+export async function getTiles(h3Indexes, activityType) {
+  const rows = []
+  for (let i = 0; i < h3Indexes.length; i += 200) {
+    const { data, error } = await supabase
+      .from('tiles')
+      .select('*')
+      .eq('activity_type', activityType)
+      .in('h3_index', h3Indexes.slice(i, i + 200))
+    if (error) return { data: null, error }
+    rows.push(...data)
+  }
+  return { data: rows, error: null }
+}
+
+// Every owner's `activityType` tiles under the given parent cells (see TILE_PARENT_RES)
+export async function getTilesByParents(parents, activityType) {
+  const rows = []
+  for (let i = 0; i < parents.length; i += 50) {
+    const { data, error } = await allPages(() => supabase
+      .from('tiles')
+      .select('h3_index, h3_parent, current_owner_user_id, activity_type, claimed_at, strength, ownership_mode')
+      .eq('activity_type', activityType)
+      .in('h3_parent', parents.slice(i, i + 50))
+      .order('h3_index'))
+    if (error) return { data: null, error }
+    rows.push(...data)
+  }
+  return { data: rows, error: null }
+}
+
+// Claim events that gave any of `userIds` a tile or took one from them, oldest first
+export async function getTileEvents(userIds, activityType) {
+  const ids = userIds.join(',')
+  return allPages(() => supabase
+    .from('tile_events')
+    .select('h3_index, user_id, previous_owner_user_id, kind, at')
+    .eq('activity_type', activityType)
+    .or(`user_id.in.(${ids}),previous_owner_user_id.in.(${ids})`)
+    .order('at', { ascending: true })
+    .order('id'))
+}
+
+// Every event on one activity's tile, newest first: who claimed, defended,
+// took or just visited it, and from whom
+export async function getTileHistory(h3Index, activityType, limit = 200) {
+  const { data, error } = await supabase
+    .from('tile_events')
+    .select('h3_index, user_id, previous_owner_user_id, activity_type, kind, at')
+    .eq('h3_index', h3Index)
+    .eq('activity_type', activityType)
+    .order('at', { ascending: false })
+    .limit(limit)
+  return { data, error }
+}
+
+// Claim and visit events on the given cells between `since` and `until`, for
+// the ownership modes that count visits
+export async function getTileVisits(h3Indexes, activityType, since, until) {
+  const rows = []
+  for (let i = 0; i < h3Indexes.length; i += 200) {
+    const { data, error } = await allPages(() => supabase
+      .from('tile_events')
+      .select('h3_index, user_id, at')
+      .eq('activity_type', activityType)
+      .gte('at', since)
+      .lte('at', until)
+      .in('h3_index', h3Indexes.slice(i, i + 200))
+      .order('id'))
+    if (error) return { data: null, error }
+    rows.push(...data)
+  }
+  return { data: rows, error: null }
+}
+
+// Recent visits to `cells` and, for clan majority, every visitor's clan
+async function contestInputs({ cells, existing, userId, activityType, claimedAt, ownership }) {
+  if (!countsVisits(ownership.mode)) return { visits: [], clanOf: {}, error: null }
+  const since = new Date(Date.parse(claimedAt) - ownership.windowDays * 24 * 60 * 60 * 1000).toISOString()
+  const { data: visits, error } = await getTileVisits(cells, activityType, since, claimedAt)
+  if (error || ownership.mode !== 'clan_majority') return { visits, clanOf: {}, error }
+  const riders = [...new Set([userId, ...visits.map(v => v.user_id), ...existing.map(t => t.current_owner_user_id)])]
+  const { data: profiles, error: profileError } = await getPublicProfiles(riders)
+  const clanOf = Object.fromEntries((profiles || []).filter(p => p.clan_id).map(p => [p.id, p.clan_id]))
+  return { visits, clanOf, error: profileError }
+}
+
+// The claim step after a ride is saved: look up current owners, decide what
+// changes hands under `ownership` (see territory.js) and write it, then open
+// threats on rivals' routes it crossed. Returns the plan with its
+// new/stolen/defended counts.
+export async function claimRideTiles({ cells, userId, activityType, claimedAt, canSteal, imported = false, raiseThreats = true, ownership = { mode: 'last_visit' } }) {
+  const { data: existing, error } = await getTiles(cells, activityType)
+  if (error) return { data: null, error }
+  const { visits, clanOf, error: contestError } = await contestInputs({ cells, existing, userId, activityType, claimedAt, ownership })
+  if (contestError) return { data: null, error: contestError }
+  const plan = planClaim({ cells, existing, userId, activityType, claimedAt, canSteal, imported, ownership, visits, clanOf })
+  if (plan.rows.length) {
+    const { error: claimError } = await claimTiles(plan.rows)
+    if (claimError) return { data: null, error: claimError }
+  }
+  if (plan.events.length) {
+    // Event ids are deterministic so a replayed claim doesn't duplicate history
+    const { error: eventError } = await supabase.from('tile_events').upsert(plan.events, { onConflict: 'id', ignoreDuplicates: true })
+    if (eventError) return { data: null, error: eventError }
+  }
+  if (raiseThreats) {
+    const { error: threatError } = await raiseRouteThreats({ cells, stolenCells: plan.stolenCells, attackerId: userId, activityType })
+    if (threatError) return { data: null, error: threatError }
+  }
+  return { data: plan, error: null }
+}
+
 // ============ ROUTE UNLOCKS ============
 export async function getRouteUnlocks(userId) {
   const { data, error } = await supabase
@@ -94,15 +273,31 @@ export async function getRouteUnlocks(userId) {
   return { data, error }
 }
 
-export async function checkRouteProgress(userId, routeSignature) {
-  const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString()
+// The rider's earlier rides on `ride`'s route inside the unlock window, and
+// whether `ride` unlocks it (see routeProgress)
+export async function checkRouteProgress(userId, ride) {
+  const since = new Date(Date.parse(ride.started_at) - RULES.UNLOCK_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString()
   const { data, error } = await supabase
     .from('rides')
-    .select('id')
+    .select('id, activity_type, started_at, route_signature, h3_cells')
     .eq('user_id', userId)
-    .eq('route_signature', routeSignature)
-    .gte('started_at', weekAgo)
-  return { count: data?.length || 0, error }
+    .eq('activity_type', ride.activity_type)
+    .gte('started_at', since)
+    .lte('started_at', ride.started_at)
+  return { data: data ? routeProgress(ride, data) : null, error }
+}
+
+// Idempotent: one row per rider and route, refreshed each time it is re-earned
+export async function unlockRoute({ userId, routeSignature, activityType, rideIds, cells, unlockedAt }) {
+  const { data, error } = await supabase
+    .from('route_unlocks')
+    .upsert({
+      user_id: userId, route_signature: routeSignature, activity_type: activityType,
+      is_unlocked: true, unlocked_at: unlockedAt, ride_ids: rideIds, h3_cells: cells
+    }, { onConflict: 'user_id,route_signature' })
+    .select()
+    .single()
+  return { data, error }
 }
 
 // ============ THREATS ============
@@ -115,6 +310,62 @@ export async function getActiveThreats(userId) {
   return { data, error }
 }
 
+// Every threat against the rider's routes, newest first, resolved ones included
+export async function getThreats(userId, limit = 50) {
+  const { data, error } = await supabase
+    .from('route_threats')
+    .select('*')
+    .eq('defender_user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit)
+  return { data, error }
+}
+
+// Other riders' unlocked routes that share a cell with `cells`, in chunks like getTiles
+export async function getCrossedUnlocks(cells, userId, activityType) {
+  const rows = new Map()
+  for (let i = 0; i < cells.length; i += 200) {
+    const { data, error } = await supabase
+      .from('route_unlocks')
+      .select('*')
+      .eq('is_unlocked', true)
+      .eq('activity_type', activityType)
+      .neq('user_id', userId)
+      .overlaps('h3_cells', cells.slice(i, i + 200))
+    if (error) return { data: null, error }
+    data.forEach(u => rows.set(u.id ?? `${u.user_id}:${u.route_signature}`, u))
+  }
+  return { data: [...rows.values()], error: null }
+}
+
+// Safe to replay: routes that already have an active threat from this rider are skipped
+export async function raiseRouteThreats({ cells, stolenCells, attackerId, activityType }) {
+  const { data: unlocks, error } = await getCrossedUnlocks(cells, attackerId, activityType)
+  if (error || !unlocks.length) return { data: [], error }
+  const { data: active, error: activeError } = await supabase
+    .from('route_threats')
+    .select('defender_user_id, route_signature')
+    .eq('attacker_user_id', attackerId)
+    .eq('status', 'active')
+    .in('route_signature', unlocks.map(u => u.route_signature))
+  if (activeError) return { data: null, error: activeError }
+  const rows = planThreats({ cells, stolenCells, unlocks, active, attackerId, activityType })
+  if (!rows.length) return { data: [], error: null }
+  const { data, error: insertError } = await supabase.from('route_threats').insert(rows).select()
+  return { data, error: insertError }
+}
+
+// Marks a threat defended or expired
+export async function resolveThreat({ id, status, resolvedAt, rideId = null }) {
+  const { data, error } = await supabase
+    .from('route_threats')
+    .update({ status, resolved_at: resolvedAt, defended_ride_id: rideId })
+    .eq('id', id)
+    .select()
+    .single()
+  return { data, error }
+}
+
 // ============ LEADERBOARD ============
 export async function getLeaderboard(limit = 50) {
   const { data, error } = await supabase
@@ -125,6 +376,25 @@ export async function getLeaderboard(limit = 50) {
   return { data, error }
 }
 
+// Latest share of a city each rider has explored and owns (percentages)
+export async function saveCityExploration({ userId, city, country, visitedPct, ownedPct }) {
+  const { data, error } = await supabase
+    .from('city_exploration')
+    .upsert({ user_id: userId, city, country, visited_pct: visitedPct, owned_pct: ownedPct, updated_at: new Date().toISOString() }, { onConflict: 'user_id,city' })
+    .select()
+    .single()
+  return { data, error }
+}
+
+export async function getCityExploration(city, userIds) {
+  const { data, error } = await supabase
+    .from('city_exploration')
+    .select('user_id, visited_pct, owned_pct, updated_at')
+    .eq('city', city)
+    .in('user_id', userIds)
+  return { data, error }
+}
+
 export async function getClanLeaderboard(limit = 20) {
   const { data, error } = await supabase
     .from('clan_leaderboard')
@@ -153,6 +423,14 @@ export async function getClan(clanId) {
   return { data, error }
 }
 
+export async function getClansByIds(clanIds) {
+  const { data, error } = await supabase
+    .from('clans')
+    .select('id, name, icon')
+    .in('id', clanIds)
+  return { data, error }
+}
+
 export async function getPublicClans() {
   const { data, error } = await supabase
     .from('clans')
@@ -0,0 +1,156 @@
+// ============== DECAY ==============
+// Every visit banks a point of `strength` on a tile (up to MAX_STRENGTH) and
+// it bleeds away at one point per DECAY_DAYS since the last visit
+// (`claimed_at`). A tile nobody has visited for DECAY_DAYS is contestable:
+// rivals can take it without unlocking the route. At zero health it is
+// neutral and counts as unowned.
+
+export const DECAY_DAYS = 7
+export const EXPIRING_DAYS = 2
+export const MAX_STRENGTH = 5
+
+const DAY_MS = 86400000
+
+// Tiles won under 'first_claim' (see OWNERSHIP MODES) never decay
+const permanent = (tile) => tile.ownership_mode === 'first_claim'
+
+const daysSince = (tile, now) => tile.claimed_at ? Math.max(0, (now - Date.parse(tile.claimed_at)) / DAY_MS) : Infinity
+
+// Remaining strength, 0 once the tile has decayed to neutral. Rows from
+// before strength was tracked count as a single visit.
+export function tileHealth(tile, now = Date.now()) {
+  if (permanent(tile)) return MAX_STRENGTH
+  return Math.max(0, (tile.strength ?? 1) - daysSince(tile, now) / DECAY_DAYS)
+}
+
+// 'neutral' once decayed, 'expiring' within EXPIRING_DAYS of turning neutral,
+// 'contestable' when unvisited for DECAY_DAYS, otherwise 'healthy'
+export function tileStatus(tile, now = Date.now()) {
+  if (permanent(tile)) return 'healthy'
+  const health = tileHealth(tile, now)
+  if (health <= 0) return 'neutral'
+  if (health * DECAY_DAYS <= EXPIRING_DAYS) return 'expiring'
+  if (daysSince(tile, now) >= DECAY_DAYS) return 'contestable'
+  return 'healthy'
+}
+
+// Tiles that still belong to their owner
+export const liveTiles = (tiles, now = Date.now()) => tiles.filter(t => tileHealth(t, now) > 0)
+
+// ============== OWNERSHIP MODES ==============
+// How a contested tile is decided, chosen per city or season (see engine.js):
+//  - 'last_visit': the rules above; the last rider through holds it.
+//  - 'most_visits': the rider with the most visits over the last `windowDays`.
+//  - 'first_claim': the first rider to claim a tile keeps it for good.
+//  - 'clan_majority': the clan whose riders visited most over `windowDays`;
+//    riders without a clan count on their own.
+// Every visit that leaves a tile with its holder is still recorded, as a
+// 'visit' event: the counting modes tally them and tile details show them.
+export const OWNERSHIP_MODE_IDS = ['last_visit', 'most_visits', 'first_claim', 'clan_majority']
+
+export const countsVisits = (mode) => mode === 'most_visits' || mode === 'clan_majority'
+
+// Visits per cell per rider (or clan, with `groupOf`) in events since `since`
+function visitCounts(visits, since, groupOf) {
+  const counts = new Map()
+  for (const v of visits) {
+    if (Date.parse(v.at) < since) continue
+    const perCell = counts.get(v.h3_index) || new Map()
+    const key = groupOf(v.user_id)
+    perCell.set(key, (perCell.get(key) || 0) + 1)
+    counts.set(v.h3_index, perCell)
+  }
+  return counts
+}
+
+// ============== CLAIMS ==============
+// What a ride does to the cells it crossed, given the current tile rows for
+// those cells. Unowned and neutral cells are claimed, the rider's own cells
+// are defended (claim time refreshed, strength topped up) and rivals' cells
+// are taken when `ownership` allows: under 'last_visit' when `canSteal` or
+// once they have gone contestable. `imported` (backdated) rides never take a
+// rival's tile in any mode. `visits` (earlier claim and visit events for the
+// cells) and `clanOf` (rider id -> clan id) feed the counting modes. Cells
+// left with their holder are tallied by reason in `reasons`, as are claims
+// that would already have decayed by `now` ('decayed'), which are not written.
+export function planClaim({ cells, existing, userId, activityType, claimedAt, canSteal, imported = false, now = Date.now(), ownership = { mode: 'last_visit' }, visits = [], clanOf = {} }) {
+  const { mode, windowDays = DECAY_DAYS } = ownership
+  const tiles = new Map(existing.map(t => [t.h3_index, t]))
+  const groupOf = (id) => mode === 'clan_majority' ? clanOf[id] || `rider:${id}` : id
+  // A replayed claim must not count its own earlier write as another visit
+  const counts = countsVisits(mode)
+    ? visitCounts(visits.filter(v => !(v.user_id === userId && v.at === claimedAt)), Date.parse(claimedAt) - windowDays * DAY_MS, groupOf)
+    : null
+  const plan = { rows: [], events: [], new: 0, stolen: 0, defended: 0, kept: 0, stolenCells: [], reasons: {} }
+  for (const h3 of cells) {
+    const tile = tiles.get(h3)
+    const owner = tile && tileHealth(tile, now) > 0 ? tile.current_owner_user_id : null
+    const eventId = `${h3}:${userId}:${claimedAt}`
+    const rival = owner && owner !== userId
+    const kept = (reason) => {
+      plan.kept++
+      plan.reasons[reason] = (plan.reasons[reason] || 0) + 1
+      plan.events.push({ id: eventId, h3_index: h3, user_id: userId, previous_owner_user_id: owner, activity_type: activityType, kind: 'visit', at: claimedAt })
+    }
+    const reason = rival && (imported ? 'imported' : contestReason({ mode, tile, owner, userId, canSteal, now, visits: counts?.get(h3), groupOf }))
+    if (reason) { kept(reason); continue }
+    const kind = !owner ? 'new' : owner === userId ? 'defended' : 'stolen'
+    // Never move a claim back in time (e.g. importing an old ride over a tile we hold)
+    const keepTime = kind === 'defended' && tile.claimed_at && Date.parse(tile.claimed_at) > Date.parse(claimedAt)
+    // In the counting modes a holder lapses `windowDays` after their last visit
+    const strength = counts ? windowDays / DECAY_DAYS : kind !== 'defended' ? 1 : keepTime ? tile.strength ?? 1 : Math.min(MAX_STRENGTH, tileHealth(tile, now) + 1)
+    const row = { h3_index: h3, current_owner_user_id: userId, activity_type: activityType, claimed_at: keepTime ? tile.claimed_at : claimedAt, strength, ownership_mode: mode }
+    // An old enough ride (an import, or a save replayed late) would only write dead tiles
+    if (tileHealth(row, now) <= 0) { kept('decayed'); continue }
+    plan[kind]++
+    if (kind === 'stolen') plan.stolenCells.push(h3)
+    plan.rows.push(row)
+    plan.events.push({ id: eventId, h3_index: h3, user_id: userId, previous_owner_user_id: owner, activity_type: activityType, kind, at: claimedAt })
+  }
+  return plan
+}
+
+// Why a rival's tile stays theirs under `mode`, or null when the rider takes it.
+// In the counting modes this ride's visit is included and ties go to the holder.
+function contestReason({ mode, tile, owner, userId, canSteal, now, visits, groupOf }) {
+  if (permanent(tile) || mode === 'first_claim') return 'first_claimed'
+  if (mode === 'last_visit') return !canSteal && tileStatus(tile, now) === 'healthy' ? 'healthy' : null
+  const mine = groupOf(userId), theirs = groupOf(owner)
+  if (mine === theirs) return 'clanmate'
+  const count = (key) => (visits?.get(key) || 0) + (key === mine ? 1 : 0)
+  if (count(theirs) >= count(mine)) return mode === 'clan_majority' ? 'clan_outvisited' : 'outvisited'
+  return null
+}
+
+// Applies claimed rows to the rider's local list of owned tiles. A tile is a
+// cell in one activity, so claims never replace another sport's tiles.
+export function mergeOwnedTiles(tiles, rows) {
+  const key = t => `${t.h3_index}:${t.activity_type}`
+  const claimed = new Set(rows.map(key))
+  return [...tiles.filter(t => !claimed.has(key(t))), ...rows]
+}
+
+// ============== HISTORY ==============
+// Replays claim events ({ h3_index, user_id, at }) in time order under the
+// same strength and decay rules as planClaim, and returns the cells held by
+// any of `owners` at each of `times` (ascending). Events from other riders
+// only matter where they took a tile from `owners`; visits that changed
+// nothing are skipped.
+export function ownedAtTimes(events, owners, times) {
+  const sorted = [...events].sort((a, b) => Date.parse(a.at) - Date.parse(b.at))
+  const tiles = new Map()
+  const snapshots = []
+  let i = 0
+  for (const time of times) {
+    for (; i < sorted.length && Date.parse(sorted[i].at) <= time; i++) {
+      if (sorted[i].kind === 'visit') continue
+      const e = sorted[i], at = Date.parse(e.at), tile = tiles.get(e.h3_index)
+      const held = tile && tile.current_owner_user_id === e.user_id && tileHealth(tile, at) > 0
+      tiles.set(e.h3_index, { current_owner_user_id: e.user_id, claimed_at: e.at, strength: held ? Math.min(MAX_STRENGTH, tileHealth(tile, at) + 1) : 1 })
+    }
+    const owned = new Set()
+    tiles.forEach((t, h3) => { if (owners.has(t.current_owner_user_id) && tileHealth(t, time) > 0) owned.add(h3) })
+    snapshots.push(owned)
+  }
+  return snapshots
+}
@@ -0,0 +1,56 @@
+import { jaccard } from './routes'
+import { atCoarserResolution } from './geo'
+
+// ============== THREATS ==============
+// A rival who steals cells on, or rides through, one of your unlocked routes
+// opens a threat against it. Riding the route again before the threat
+// expires defends it; otherwise it lapses.
+
+export const THREAT_HOURS = 48
+export const THREAT_MIN_CELLS = 3
+export const DEFEND_XP = 50
+
+const HOUR_MS = 3600000
+
+// Threat rows a ride raises. `unlocks` are other riders' unlocked routes with
+// their cells, `active` the threats already open: a route gets at most one
+// active threat per attacker.
+export function planThreats({ cells, stolenCells = [], unlocks, active, attackerId, activityType, now = Date.now() }) {
+  const open = new Set(active.map(t => `${t.defender_user_id}:${t.route_signature}`))
+  const rows = []
+  for (const u of unlocks) {
+    if (u.user_id === attackerId || u.activity_type !== activityType || open.has(`${u.user_id}:${u.route_signature}`)) continue
+    // Routes unlocked at another resolution are compared at the coarser one
+    const [routeCells, crossed] = atCoarserResolution(u.h3_cells || [], cells)
+    const [, stolen] = atCoarserResolution(u.h3_cells || [], stolenCells)
+    const cellsCrossed = [...routeCells].filter(c => crossed.has(c)).length
+    const cellsStolen = [...routeCells].filter(c => stolen.has(c)).length
+    if (!cellsStolen && cellsCrossed < THREAT_MIN_CELLS) continue
+    open.add(`${u.user_id}:${u.route_signature}`)
+    rows.push({
+      id: crypto.randomUUID(),
+      route_signature: u.route_signature, defender_user_id: u.user_id, attacker_user_id: attackerId, activity_type: activityType,
+      cells_crossed: cellsCrossed, cells_stolen: cellsStolen, status: 'active',
+      created_at: new Date(now).toISOString(), expires_at: new Date(now + THREAT_HOURS * HOUR_MS).toISOString(),
+    })
+  }
+  return rows
+}
+
+export const threatTimeLeft = (threat, now = Date.now()) => Math.max(0, Date.parse(threat.expires_at) - now)
+
+// Active threats whose window has closed
+export const expiredThreats = (threats, now = Date.now()) =>
+  threats.filter(t => t.status === 'active' && Date.parse(t.expires_at) <= now)
+
+// Active threats `ride` defends: it rides the threatened route (by signature,
+// or by `threshold` overlap with the unlocked route's cells) before it expires
+export function defendedThreats(ride, threats, unlocks, threshold) {
+  const ended = Date.parse(ride.ended_at)
+  return threats.filter(t => {
+    if (t.status !== 'active' || t.activity_type !== ride.activity_type || Date.parse(t.expires_at) < ended) return false
+    if (t.route_signature === ride.route_signature) return true
+    const unlock = unlocks.find(u => u.route_signature === t.route_signature)
+    return !!unlock?.h3_cells?.length && jaccard(ride.h3_cells || [], unlock.h3_cells) >= threshold
+  })
+}
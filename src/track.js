@@ -0,0 +1,62 @@
+// ============== TRACK ENCODING ==============
+// Tracks are stored as a Google-polyline-style string: every point contributes
+// five zigzag varints (lat, lng, time, accuracy, altitude), each delta encoded
+// against the previous point. Arithmetic is used instead of bit ops so
+// millisecond timestamps don't overflow 32 bits.
+
+const LATLNG_FACTOR = 1e6 // ~11cm
+const TIME_FACTOR = 0.1 // ms -> centiseconds
+const ALT_FACTOR = 10 // decimetres
+const ALT_OFFSET = 100000 // keeps encoded altitudes > 0 so 0 can mean "none"
+
+const toFields = (p) => [
+  Math.round(p.lat * LATLNG_FACTOR),
+  Math.round(p.lng * LATLNG_FACTOR),
+  Math.round(p.ts * TIME_FACTOR),
+  Math.round(p.acc ?? 0),
+  p.alt == null ? 0 : Math.round(p.alt * ALT_FACTOR) + ALT_OFFSET,
+]
+
+const fromFields = ([lat, lng, ts, acc, alt]) => ({
+  lat: lat / LATLNG_FACTOR,
+  lng: lng / LATLNG_FACTOR,
+  ts: Math.round(ts / TIME_FACTOR),
+  acc,
+  alt: alt === 0 ? null : (alt - ALT_OFFSET) / ALT_FACTOR,
+})
+
+const encodeValue = (v) => {
+  let n = v < 0 ? -2 * v - 1 : 2 * v
+  let out = ''
+  while (n >= 32) {
+    out += String.fromCharCode((32 + (n % 32)) + 63)
+    n = Math.floor(n / 32)
+  }
+  return out + String.fromCharCode(n + 63)
+}
+
+export function encodeTrack(points) {
+  let prev = [0, 0, 0, 0, 0], out = ''
+  for (const p of points) {
+    const fields = toFields(p)
+    for (let i = 0; i < fields.length; i++) out += encodeValue(fields[i] - prev[i])
+    prev = fields
+  }
+  return out
+}
+
+export function decodeTrack(str) {
+  const points = [], fields = [0, 0, 0, 0, 0]
+  let i = 0, f = 0
+  while (str && i < str.length) {
+    let n = 0, mult = 1, c
+    do {
+      c = str.charCodeAt(i++) - 63
+      n += (c % 32) * mult
+      mult *= 32
+    } while (c >= 32)
+    fields[f] += n % 2 ? -(n + 1) / 2 : n / 2
+    if (++f === fields.length) { points.push(fromFields(fields)); f = 0 }
+  }
+  return points
+}
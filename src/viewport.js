@@ -0,0 +1,64 @@
+import { getTilesByParents, getPublicProfiles, getClansByIds } from './supabase'
+import { boundsParents } from './geo'
+import { liveTiles } from './territory'
+
+// ============== VIEWPORT TILES ==============
+// Every owner's tiles inside the visible map, cached per activity and parent
+// cell so panning back and forth only fetches the parents that are new or stale.
+// Owner profiles and clans are cached for the session.
+
+const CACHE_TTL_MS = 2 * 60 * 1000
+const MAX_PARENTS = 150 // beyond this the view is too zoomed out to load
+
+const parentCache = new Map() // `${activity}:${parent}` -> { at, tiles }
+const owners = new Map() // user id -> public profile
+const clans = new Map() // clan id -> { id, name, icon }
+
+const fetchOwners = async (ids) => {
+  const missing = ids.filter(id => !owners.has(id))
+  if (!missing.length) return
+  const { data } = await getPublicProfiles(missing)
+  data?.forEach(p => owners.set(p.id, p))
+  const clanIds = [...new Set((data || []).map(p => p.clan_id).filter(id => id && !clans.has(id)))]
+  if (!clanIds.length) return
+  const { data: clanRows } = await getClansByIds(clanIds)
+  clanRows?.forEach(c => clans.set(c.id, c))
+}
+
+// Live tiles of `activityType` in the [west, south, east, north] box, with
+// their owner and clan attached. `tooWide` is set instead when zoomed out too far.
+export async function loadViewportTiles(bounds, activityType, now = Date.now()) {
+  const parents = boundsParents(bounds)
+  if (parents.length > MAX_PARENTS) return { tiles: [], tooWide: true, error: null }
+  const key = (p) => `${activityType}:${p}`
+  const stale = parents.filter(p => !(now - (parentCache.get(key(p))?.at ?? 0) < CACHE_TTL_MS))
+  if (stale.length) {
+    const { data, error } = await getTilesByParents(stale, activityType)
+    if (error) return { tiles: [], tooWide: false, error }
+    const byParent = new Map(stale.map(p => [p, []]))
+    data.forEach(t => byParent.get(t.h3_parent)?.push(t))
+    byParent.forEach((tiles, p) => parentCache.set(key(p), { at: now, tiles }))
+  }
+  const tiles = liveTiles(parents.flatMap(p => parentCache.get(key(p)).tiles), now)
+  await fetchOwners([...new Set(tiles.map(t => t.current_owner_user_id))])
+  return {
+    tiles: tiles.map(t => {
+      const owner = owners.get(t.current_owner_user_id) || null
+      return { ...t, owner, clan: owner?.clan_id ? clans.get(owner.clan_id) || null : null }
+    }),
+    tooWide: false,
+    error: null,
+  }
+}
+
+// Public profile and clan of each rider in `ids`, from the session cache where possible
+export async function loadOwners(ids) {
+  await fetchOwners(ids)
+  return new Map(ids.map(id => {
+    const owner = owners.get(id) || null
+    return [id, { owner, clan: owner?.clan_id ? clans.get(owner.clan_id) || null : null }]
+  }))
+}
+
+// Drops cached parents so the rider's own new claims show up straight away
+export const invalidateViewport = () => parentCache.clear()
@@ -0,0 +1,43 @@
+-- XP is granted as increments applied on the server, so a grant queued
+-- offline can't overwrite XP earned meanwhile on another device. Each grant
+-- carries a client-generated id; replaying it is a no-op.
+
+create table if not exists public.xp_grants (
+  id uuid primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  delta integer not null check (delta >= 0),
+  created_at timestamptz not null default now()
+);
+
+alter table public.xp_grants enable row level security;
+
+create policy "Riders read their own XP grants"
+  on public.xp_grants for select
+  using (auth.uid() = user_id);
+
+-- Grants are only written through grant_xp(), which runs as the owner
+create or replace function public.grant_xp(grant_id uuid, delta integer)
+returns public.profiles
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  result public.profiles;
+begin
+  if auth.uid() is null then
+    raise exception 'Not signed in' using errcode = '42501';
+  end if;
+  insert into xp_grants (id, user_id, delta) values (grant_id, auth.uid(), delta)
+  on conflict (id) do nothing;
+  if found then
+    update profiles set xp = coalesce(xp, 0) + delta where id = auth.uid() returning * into result;
+  else
+    select * into result from profiles where id = auth.uid();
+  end if;
+  return result;
+end;
+$$;
+
+revoke all on function public.grant_xp(uuid, integer) from public;
+grant execute on function public.grant_xp(uuid, integer) to authenticated;
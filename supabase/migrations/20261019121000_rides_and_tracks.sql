@@ -0,0 +1,58 @@
+-- Rides carry the cells they crossed and whether they were imported from a
+-- file; the recorded track is stored beside them in ride_tracks. Ride ids are
+-- generated on the device so a queued save can be replayed as an upsert.
+
+alter table public.rides add column if not exists h3_cells text[] not null default '{}';
+alter table public.rides add column if not exists imported boolean not null default false;
+
+create index if not exists rides_user_activity_started_idx
+  on public.rides (user_id, activity_type, started_at);
+
+alter table public.rides enable row level security;
+
+drop policy if exists "Riders update their own rides" on public.rides;
+create policy "Riders update their own rides"
+  on public.rides for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- One row per ride: the filtered track and every fix as received, both as
+-- encoded polylines (see encodeTrack)
+create table if not exists public.ride_tracks (
+  ride_id uuid primary key references public.rides (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  polyline text not null,
+  point_count integer not null default 0,
+  raw_polyline text,
+  raw_point_count integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+alter table public.ride_tracks enable row level security;
+
+create policy "Riders read their own tracks"
+  on public.ride_tracks for select
+  using (auth.uid() = user_id);
+
+create policy "Riders save their own tracks"
+  on public.ride_tracks for insert
+  with check (auth.uid() = user_id);
+
+create policy "Riders replace their own tracks"
+  on public.ride_tracks for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- Track times are queued like rides and replayed as upserts on their id
+alter table public.track_times enable row level security;
+
+drop policy if exists "Riders save their own track times" on public.track_times;
+create policy "Riders save their own track times"
+  on public.track_times for insert
+  with check (auth.uid() = user_id);
+
+drop policy if exists "Riders replay their own track times" on public.track_times;
+create policy "Riders replay their own track times"
+  on public.track_times for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
@@ -0,0 +1,91 @@
+-- Each sport holds its own territory, so a cell has one row per activity.
+-- Rows also carry their res-7 parent for viewport loading (TILE_PARENT_RES in
+-- geo.js), their strength and the ownership mode they were claimed under.
+
+alter table public.tiles add column if not exists activity_type text not null default 'cycling';
+alter table public.tiles add column if not exists h3_parent text;
+alter table public.tiles add column if not exists strength real not null default 1;
+alter table public.tiles add column if not exists ownership_mode text not null default 'last_visit';
+
+-- Replace whatever made h3_index unique on its own with (h3_index, activity_type)
+do $$
+declare
+  con record;
+  dropped_pk boolean := false;
+begin
+  for con in
+    select c.conname, c.contype
+    from pg_constraint c
+    where c.conrelid = 'public.tiles'::regclass
+      and c.contype in ('p', 'u')
+      and c.conkey = array[(select attnum from pg_attribute where attrelid = 'public.tiles'::regclass and attname = 'h3_index')]
+  loop
+    execute format('alter table public.tiles drop constraint %I', con.conname);
+    dropped_pk := dropped_pk or con.contype = 'p';
+  end loop;
+  if dropped_pk then
+    alter table public.tiles add column if not exists id uuid not null default gen_random_uuid();
+    alter table public.tiles add primary key (id);
+  end if;
+  if not exists (select 1 from pg_constraint where conname = 'tiles_h3_index_activity_type_key') then
+    alter table public.tiles add constraint tiles_h3_index_activity_type_key unique (h3_index, activity_type);
+  end if;
+end $$;
+
+create index if not exists tiles_h3_parent_idx on public.tiles (h3_parent);
+create index if not exists tiles_owner_idx on public.tiles (current_owner_user_id);
+
+-- The client fills h3_parent on every claim; existing rows are backfilled
+-- where the h3 extension is installed and otherwise on their next claim
+do $$
+begin
+  if exists (select 1 from pg_extension where extname = 'h3') then
+    execute 'update public.tiles set h3_parent = h3_cell_to_parent(h3_index::h3index, 7)::text where h3_parent is null';
+  end if;
+end $$;
+
+-- Everyone sees the map; a claim may only make the claiming rider the owner,
+-- including when it takes a rival's row
+alter table public.tiles enable row level security;
+
+drop policy if exists "Tiles are public" on public.tiles;
+create policy "Tiles are public"
+  on public.tiles for select
+  using (true);
+
+drop policy if exists "Riders claim tiles for themselves" on public.tiles;
+create policy "Riders claim tiles for themselves"
+  on public.tiles for insert
+  with check (auth.uid() = current_owner_user_id);
+
+drop policy if exists "Riders take tiles for themselves" on public.tiles;
+create policy "Riders take tiles for themselves"
+  on public.tiles for update
+  using (auth.uid() is not null)
+  with check (auth.uid() = current_owner_user_id);
+
+-- Who claimed, defended, took or visited each tile. Ids are derived from the
+-- cell, rider and claim time so a replayed claim writes nothing twice.
+create table if not exists public.tile_events (
+  id text primary key,
+  h3_index text not null,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  previous_owner_user_id uuid references auth.users (id) on delete set null,
+  activity_type text not null,
+  kind text not null check (kind in ('new', 'defended', 'stolen', 'visit')),
+  at timestamptz not null
+);
+
+create index if not exists tile_events_cell_idx on public.tile_events (h3_index, activity_type, at);
+create index if not exists tile_events_user_idx on public.tile_events (user_id, activity_type, at);
+create index if not exists tile_events_previous_owner_idx on public.tile_events (previous_owner_user_id, activity_type, at);
+
+alter table public.tile_events enable row level security;
+
+create policy "Tile history is public"
+  on public.tile_events for select
+  using (true);
+
+create policy "Riders record their own claims"
+  on public.tile_events for insert
+  with check (auth.uid() = user_id);
@@ -0,0 +1,84 @@
+-- Unlocked routes keep the rides that earned them and the cells they cover,
+-- so rivals crossing a route can be matched against it (getCrossedUnlocks).
+-- Unlocking is an upsert on (user_id, route_signature).
+
+alter table public.route_unlocks add column if not exists activity_type text;
+alter table public.route_unlocks add column if not exists h3_cells text[] not null default '{}';
+alter table public.route_unlocks add column if not exists ride_ids uuid[] not null default '{}';
+alter table public.route_unlocks add column if not exists is_unlocked boolean not null default false;
+alter table public.route_unlocks add column if not exists unlocked_at timestamptz;
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'route_unlocks_user_id_route_signature_key') then
+    alter table public.route_unlocks add constraint route_unlocks_user_id_route_signature_key unique (user_id, route_signature);
+  end if;
+end $$;
+
+create index if not exists route_unlocks_cells_idx on public.route_unlocks using gin (h3_cells);
+
+-- Any rider may see unlocked routes, since their own rides threaten them
+alter table public.route_unlocks enable row level security;
+
+drop policy if exists "Unlocked routes are public" on public.route_unlocks;
+create policy "Unlocked routes are public"
+  on public.route_unlocks for select
+  using (is_unlocked or auth.uid() = user_id);
+
+drop policy if exists "Riders unlock their own routes" on public.route_unlocks;
+create policy "Riders unlock their own routes"
+  on public.route_unlocks for insert
+  with check (auth.uid() = user_id);
+
+drop policy if exists "Riders refresh their own routes" on public.route_unlocks;
+create policy "Riders refresh their own routes"
+  on public.route_unlocks for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- A rival crossing or taking tiles on an unlocked route opens a threat the
+-- owner has THREAT_HOURS to answer by riding it again (see threats.js)
+create table if not exists public.route_threats (
+  id uuid primary key default gen_random_uuid(),
+  route_signature text not null,
+  defender_user_id uuid not null references auth.users (id) on delete cascade,
+  attacker_user_id uuid not null references auth.users (id) on delete cascade,
+  status text not null default 'active',
+  created_at timestamptz not null default now()
+);
+
+alter table public.route_threats add column if not exists activity_type text;
+alter table public.route_threats add column if not exists cells_crossed integer not null default 0;
+alter table public.route_threats add column if not exists cells_stolen integer not null default 0;
+alter table public.route_threats add column if not exists expires_at timestamptz;
+alter table public.route_threats add column if not exists resolved_at timestamptz;
+alter table public.route_threats add column if not exists defended_ride_id uuid references public.rides (id) on delete set null;
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'route_threats_status_check') then
+    alter table public.route_threats add constraint route_threats_status_check check (status in ('active', 'defended', 'expired'));
+  end if;
+end $$;
+
+create index if not exists route_threats_defender_idx on public.route_threats (defender_user_id, status);
+create index if not exists route_threats_attacker_idx on public.route_threats (attacker_user_id, status, route_signature);
+
+-- Both sides see a threat; the attacker opens it and the defender resolves it
+alter table public.route_threats enable row level security;
+
+drop policy if exists "Riders see threats they are part of" on public.route_threats;
+create policy "Riders see threats they are part of"
+  on public.route_threats for select
+  using (auth.uid() in (defender_user_id, attacker_user_id));
+
+drop policy if exists "Riders open threats as the attacker" on public.route_threats;
+create policy "Riders open threats as the attacker"
+  on public.route_threats for insert
+  with check (auth.uid() = attacker_user_id and auth.uid() <> defender_user_id);
+
+drop policy if exists "Defenders resolve their threats" on public.route_threats;
+create policy "Defenders resolve their threats"
+  on public.route_threats for update
+  using (auth.uid() = defender_user_id)
+  with check (auth.uid() = defender_user_id);
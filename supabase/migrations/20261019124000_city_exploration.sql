@@ -0,0 +1,29 @@
+-- Each rider's latest explored and owned share of a city, in percent, for the
+-- city leaderboards (see boundaries.js)
+
+create table if not exists public.city_exploration (
+  user_id uuid not null references auth.users (id) on delete cascade,
+  city text not null,
+  country text,
+  visited_pct real not null default 0 check (visited_pct between 0 and 100),
+  owned_pct real not null default 0 check (owned_pct between 0 and 100),
+  updated_at timestamptz not null default now(),
+  primary key (user_id, city)
+);
+
+create index if not exists city_exploration_city_idx on public.city_exploration (city);
+
+alter table public.city_exploration enable row level security;
+
+create policy "City exploration is public"
+  on public.city_exploration for select
+  using (true);
+
+create policy "Riders save their own exploration"
+  on public.city_exploration for insert
+  with check (auth.uid() = user_id);
+
+create policy "Riders update their own exploration"
+  on public.city_exploration for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
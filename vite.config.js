@@ -50,6 +50,23 @@ export default defineConfig({
                 maxAgeSeconds: 60 * 60 * 24 * 30
               }
             }
+          },
+          {
+            // Replay failed ride and track time saves via Background Sync even if the
+            // app is closed. Only these are plain idempotent upserts; claims, XP and
+            // the rest need fresh reads and a fresh session, so only the in-app
+            // outbox replays them. Retention stays inside the session token's hour.
+            urlPattern: /^https:\/\/[^/]+\.supabase\.co\/rest\/v1\/(rides|track_times)\b.*/i,
+            handler: 'NetworkOnly',
+            method: 'POST',
+            options: {
+              backgroundSync: {
+                name: 'outbox',
+                options: {
+                  maxRetentionTime: 55
+                }
+              }
+            }
           }
         ]
       }